@@ -1,16 +1,57 @@
-// MEXC Futures Spike Scanner + Multi-window moves (1m/5m/15m) + Live SSE + /live page
-// Single-file worker. Run with: `node index.js`
+// MEXC Futures Spike Scanner + Multi-window moves (MOVE_WINDOWS) + Live SSE + /live page
+// The one runtime, composed from src/: spike engine, early spikes, live top-mover updates and
+// trade flow are each feature-flagged (SPIKE_ON, EARLY_SPIKE_ON, LIVE_UPDATES_ON, FLOW_ON).
+// Tick detectors run through one registry (src/detectors.js); each alert's source is its detector.
+// Run with: `node index.js`
 //
-// ENV used (existing + early):
+// ENV used:
 // ZERO_FEE_ONLY, MAX_TAKER_FEE, ZERO_FEE_WHITELIST, UNIVERSE_OVERRIDE,
 // FALLBACK_TO_ALL, WINDOW_SEC, MIN_ABS_PCT, Z_MULTIPLIER, COOLDOWN_SEC,
-// UNIVERSE_REFRESH_SEC, TV_WEBHOOK_URL, TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID, PORT, RELEASE_TAG
-// EARLY_SPIKE_ON, EARLY_SPIKE_LOOKBACK_SEC, EARLY_SPIKE_ZMIN, EARLY_SPIKE_COOLDOWN_SEC, EARLY_SPIKE_MIN_ABS_PCT
+// UNIVERSE_REFRESH_SEC, TV_WEBHOOK_URL, TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID, PORT, RELEASE_TAG, SSE_BACKLOG, SSE_RETRY_MS, WS_ON, WS_PING_SEC
+// MOVE_WINDOWS, SPIKE_ON, MAX_RECENT, LIVE_UPDATES_ON, LIVE_UPDATES_INTERVAL_MS, LIVE_UPDATES_TOP_N, LIVE_UPDATES_MIN_CHANGE_PCT, STORE_UPDATES
+// FLOW_ON, FLOW_TOP_N, FLOW_WINDOW_SEC, FLOW_BASELINE_SEC, FLOW_MIN_IMBALANCE, FLOW_MIN_BURST_Z, FLOW_MIN_TRADES, FLOW_COOLDOWN_SEC
+// EARLY_SPIKE_ON, EARLY_SPIKE_LOOKBACK_SEC, EARLY_SPIKE_ZMIN, EARLY_SPIKE_COOLDOWN_SEC, EARLY_SPIKE_MIN_ABS_PCT, EARLY_SPIKE_EXCLUDE_CURRENT
+// RANGE_BREAKOUT_{ON,MINUTES,MIN_PCT,COOLDOWN_SEC}, VWAP_DEV_{ON,MINUTES,MIN_PCT,ZMIN,COOLDOWN_SEC}, MOMENTUM_{ON,BARS,MIN_PCT,COOLDOWN_SEC}
+// AUTOTRADE, EXECUTE, MEXC_KEY, MEXC_SECRET, NOTIONAL_USDT, LEVERAGE, MARGIN_MODE, AUTOTRADE_MAX_POSITIONS
+// TRAIL_ENABLE, TRAIL_START_AFTER_PCT, TRAIL_DISTANCE_PCT, TRAIL_STEP_PCT
+// PAPER_BALANCE_USDT, PAPER_SLIPPAGE_PCT, PAPER_DEFAULT_TAKER_FEE, PAPER_STATE_FILE, PAPER_MAX_HOLD_SEC
+// RECONCILE_SEC, RECONCILE_ADOPT, TRAIL_STATE_FILE
+// STORE_ON, STORE_DIR, STORE_RETENTION_DAYS
+// FEED_STALE_SEC, FEED_PONG_TIMEOUT_SEC, FEED_BACKOFF_MIN_MS, FEED_BACKOFF_MAX_MS, FEED_NOTIFY
+// MARKET_POLL_SEC, DEPTH_ON, DEPTH_MAX_SLIPPAGE_PCT, DEPTH_GATE_ALERTS, DEPTH_WAIT_MS, DEPTH_TTL_SEC
+// CANDLE_1M_HISTORY, SPIKE_MIN_VOL_Z, EARLY_SPIKE_MIN_VOL_Z, VOLUME_Z_WINDOW_SEC, VOLUME_BASELINE_SEC
+// SEVERITY_Z_LEVELS, SEVERITY_MOVE_LEVELS, RANK_W_{SEVERITY,Z,MOVE,PPS}, PPS_WINDOW_SEC, TELEGRAM_MIN_SEVERITY, WEBHOOK_MIN_SEVERITY
+// CONFLUENCE_ON, CONFLUENCE_SUPPRESS, CONFLUENCE_USE_EMA, CONFLUENCE_ORDERING, CONFLUENCE_SLOPE_K_{1M,3M,15M},
+// CONFLUENCE_SLOPE_DEADZONE_{1M,3M,15M}, CONFLUENCE_VOL_ZMIN, CONFLUENCE_DIST_MAX_PCT, CONFLUENCE_COOLDOWN_SEC, CONFLUENCE_BONUS
+// RECORD_TICKS, RECORD_DIR, RECORD_RETENTION_HOURS, REPLAY_FILE, REPLAY_SPEED, REPLAY_LOOP, REPLAY_NOTIFY
 
 import 'dotenv/config';
-import { WebSocket } from 'ws';
 import http from 'http';
 import { URL } from 'url';
+import { createExecutor } from './src/executor.js';
+import { TrailingManager } from './src/trailing.js';
+import { PaperAccount } from './src/paper.js';
+import { ContractSpecs } from './src/contracts.js';
+import { Reconciler } from './src/reconcile.js';
+import { EventStore } from './src/store.js';
+import { TickRecorder, resolveTickFiles, replayTicks } from './src/recorder.js';
+import { createDetectors } from './src/detectors.js';
+import { AlertScorer } from './src/score.js';
+import { Confluence } from './src/confluence.js';
+import { CandleStore, tfMs } from './src/candles.js';
+import { VolumeTracker } from './src/volume.js';
+import { MarketContext } from './src/market.js';
+import { DepthBook } from './src/depth.js';
+import { FeedMonitor, Backoff } from './src/feed.js';
+import { MexcScanner } from './src/mexcScanner.js';
+import { buildUniverse, ENDPOINTS } from './src/universe.js';
+import { PriceHistory, TopMovers, parseWindows, moveFields, DEFAULT_WINDOWS, MOVE_SCHEMA } from './src/movers.js';
+import { TradeFlow } from './src/flow.js';
+import { LIVE_HTML, SSE_VIEWER_HTML } from './src/livePage.js';
+import { SseHub } from './src/sse.js';
+import { StreamFilter } from './src/streamFilter.js';
+import { WsHub } from './src/wsApi.js';
+import { sleep, num, getJSON } from './src/utils.js';
 
 // ===== Version label =====
 const RELEASE_TAG = process.env.RELEASE_TAG || 'stable-827+early';
@@ -26,11 +67,50 @@ const WINDOW_SEC           = Number(process.env.WINDOW_SEC ?? 5);      // spike
 const MIN_ABS_PCT          = Number(process.env.MIN_ABS_PCT ?? 0.003); // fraction, 0.003=0.3%
 const Z_MULT               = Number(process.env.Z_MULTIPLIER ?? 3.0);  // z threshold for engine
 const COOLDOWN_SEC         = Number(process.env.COOLDOWN_SEC ?? 20);
+const SPIKE_ON             = /^(1|true|yes)$/i.test(process.env.SPIKE_ON || 'true'); // standard spike engine
+const MAX_RECENT           = Number(process.env.MAX_RECENT ?? 800);            // /alerts ring buffer
 const UNIVERSE_REFRESH_SEC = Number(process.env.UNIVERSE_REFRESH_SEC ?? 600);
+const FEED_STALE_SEC       = Number(process.env.FEED_STALE_SEC ?? 30);        // no push.tickers this long → reconnect
+const FEED_PONG_TIMEOUT_SEC= Number(process.env.FEED_PONG_TIMEOUT_SEC ?? 45); // no pong this long → reconnect
+const FEED_BACKOFF_MIN_MS  = Number(process.env.FEED_BACKOFF_MIN_MS ?? 1000);
+const FEED_BACKOFF_MAX_MS  = Number(process.env.FEED_BACKOFF_MAX_MS ?? 60000);
+const FEED_NOTIFY          = /^(1|true|yes)$/i.test(process.env.FEED_NOTIFY || 'true'); // feed up/down to Telegram
 const TV_WEBHOOK_URL       = String(process.env.TV_WEBHOOK_URL || '').trim();
 const TG_TOKEN             = String(process.env.TELEGRAM_BOT_TOKEN || '').trim();
 const TG_CHAT              = String(process.env.TELEGRAM_CHAT_ID || '').trim();
 const PORT                 = Number(process.env.PORT || 3000);
+const SSE_BACKLOG          = Number(process.env.SSE_BACKLOG ?? 1000);             // events replayed on Last-Event-ID
+const SSE_RETRY_MS         = Number(process.env.SSE_RETRY_MS ?? 3000);            // EventSource reconnect hint
+const WS_ON                = /^(1|true|yes)$/i.test(process.env.WS_ON || 'true'); // /ws dashboard API
+const WS_PING_SEC          = Number(process.env.WS_PING_SEC ?? 30);               // drop clients missing a ping
+const CANDLE_1M_HISTORY    = Number(process.env.CANDLE_1M_HISTORY ?? 120);        // 1m bars kept per symbol
+const MOVE_WINDOWS         = parseWindows(process.env.MOVE_WINDOWS || DEFAULT_WINDOWS); // move_<label> on alerts + updates
+
+// ----- Live top-mover updates (SSE 'update' rows, never TV/Telegram) -----
+const LIVE_UPDATES_ON      = /^(1|true|yes)$/i.test(process.env.LIVE_UPDATES_ON || '');
+const LIVE_UPDATES_INTERVAL_MS = Number(process.env.LIVE_UPDATES_INTERVAL_MS ?? 2000);
+const LIVE_UPDATES_TOP_N   = Number(process.env.LIVE_UPDATES_TOP_N ?? 80);        // keeps bandwidth sane
+const LIVE_UPDATES_MIN_CHANGE_PCT = Number(process.env.LIVE_UPDATES_MIN_CHANGE_PCT ?? 0.02); // re-send once the shortest window's move changed this much (%)
+const STORE_UPDATES        = /^(1|true|yes)$/i.test(process.env.STORE_UPDATES || ''); // live updates are high-volume
+
+// ----- Trade flow (sub.deal on the top movers) -----
+const FLOW_ON              = /^(1|true|yes)$/i.test(process.env.FLOW_ON || '');
+const FLOW_TOP_N           = Number(process.env.FLOW_TOP_N ?? 10);          // top movers subscribed to sub.deal
+const FLOW_WINDOW_SEC      = Number(process.env.FLOW_WINDOW_SEC ?? 10);     // imbalance / burst window
+const FLOW_BASELINE_SEC    = Number(process.env.FLOW_BASELINE_SEC ?? 300);  // trade-rate baseline
+const FLOW_MIN_IMBALANCE   = Number(process.env.FLOW_MIN_IMBALANCE ?? 0.6); // |buy-sell|/(buy+sell)
+const FLOW_MIN_BURST_Z     = Number(process.env.FLOW_MIN_BURST_Z ?? 3);
+const FLOW_MIN_TRADES      = Number(process.env.FLOW_MIN_TRADES ?? 10);
+const FLOW_COOLDOWN_SEC    = Number(process.env.FLOW_COOLDOWN_SEC ?? 60);
+
+// ----- Tick recorder / offline replay -----
+const RECORD_TICKS         = /^(1|true|yes)$/i.test(process.env.RECORD_TICKS || '');
+const RECORD_DIR           = String(process.env.RECORD_DIR || './data/ticks');
+const RECORD_RETENTION_H   = Number(process.env.RECORD_RETENTION_HOURS ?? 72);    // 0 = keep everything
+const REPLAY_FILE          = String(process.env.REPLAY_FILE || '').trim();        // .log.gz file or a RECORD_DIR
+const REPLAY_SPEED         = Number(process.env.REPLAY_SPEED ?? 1);               // 1 = real time, 0 = max
+const REPLAY_LOOP          = /^(1|true|yes)$/i.test(process.env.REPLAY_LOOP || '');
+const REPLAY_NOTIFY        = /^(1|true|yes)$/i.test(process.env.REPLAY_NOTIFY || ''); // TV/Telegram during replay
 
 // ----- Early Spike ENV -----
 const EARLY_SPIKE_ON          = /^(1|true|yes)$/i.test(process.env.EARLY_SPIKE_ON || 'true'); // default ON
@@ -38,95 +118,117 @@ const EARLY_SPIKE_LOOKBACK    = Number(process.env.EARLY_SPIKE_LOOKBACK_SEC || 1
 const EARLY_SPIKE_ZMIN        = Number(process.env.EARLY_SPIKE_ZMIN || 2.0);
 const EARLY_SPIKE_COOLDOWN_MS = Number(process.env.EARLY_SPIKE_COOLDOWN_SEC || 20) * 1000;
 const EARLY_SPIKE_MIN_ABS_PCT = Number(process.env.EARLY_SPIKE_MIN_ABS_PCT || 0.0015);       // 0.15%
-
-// ===== MEXC endpoints =====
-const BASE = 'https://contract.mexc.com';
-const ENDPOINTS = {
-  detail : `${BASE}/api/v1/contract/detail`,
-  ticker : `${BASE}/api/v1/contract/ticker`,
-  symbols: `${BASE}/api/v1/contract/symbols`
+const EARLY_SPIKE_EXCLUDE_CURRENT = /^(1|true|yes)$/i.test(process.env.EARLY_SPIKE_EXCLUDE_CURRENT || ''); // see src/earlySpike.js
+
+// ----- Candle detectors (1m bars; all off by default) -----
+const RANGE_BREAKOUT_ON       = /^(1|true|yes)$/i.test(process.env.RANGE_BREAKOUT_ON || '');
+const RANGE_BREAKOUT_MINUTES  = Number(process.env.RANGE_BREAKOUT_MINUTES ?? 30);        // range = last N completed bars
+const RANGE_BREAKOUT_MIN_PCT  = Number(process.env.RANGE_BREAKOUT_MIN_PCT ?? 0.002);     // fraction beyond the range
+const RANGE_BREAKOUT_COOLDOWN_SEC = Number(process.env.RANGE_BREAKOUT_COOLDOWN_SEC ?? 300);
+const VWAP_DEV_ON             = /^(1|true|yes)$/i.test(process.env.VWAP_DEV_ON || '');
+const VWAP_DEV_MINUTES        = Number(process.env.VWAP_DEV_MINUTES ?? 60);              // VWAP over last N completed bars
+const VWAP_DEV_MIN_PCT        = Number(process.env.VWAP_DEV_MIN_PCT ?? 0.01);            // fraction from VWAP
+const VWAP_DEV_ZMIN           = Number(process.env.VWAP_DEV_ZMIN ?? 2.5);                // volume-weighted std devs
+const VWAP_DEV_COOLDOWN_SEC   = Number(process.env.VWAP_DEV_COOLDOWN_SEC ?? 600);
+const MOMENTUM_ON             = /^(1|true|yes)$/i.test(process.env.MOMENTUM_ON || '');
+const MOMENTUM_BARS           = Number(process.env.MOMENTUM_BARS ?? 4);                  // consecutive same-direction 1m bars
+const MOMENTUM_MIN_PCT        = Number(process.env.MOMENTUM_MIN_PCT ?? 0.006);           // fraction over those bars
+const MOMENTUM_COOLDOWN_SEC   = Number(process.env.MOMENTUM_COOLDOWN_SEC ?? 300);
+
+// ----- Volume confirmation (unset = off) -----
+const optNum = (v)=> (v == null || v === '' || !Number.isFinite(Number(v))) ? null : Number(v);
+const SPIKE_MIN_VOL_Z         = optNum(process.env.SPIKE_MIN_VOL_Z);        // spike engine needs volume z ≥ this
+const EARLY_SPIKE_MIN_VOL_Z   = optNum(process.env.EARLY_SPIKE_MIN_VOL_Z);  // early path needs volume z ≥ this
+const VOLUME_Z_WINDOW_SEC     = Number(process.env.VOLUME_Z_WINDOW_SEC ?? 5);
+const VOLUME_BASELINE_SEC     = Number(process.env.VOLUME_BASELINE_SEC ?? 300);
+
+// ----- Funding / open interest polling (REST /contract/ticker; 0 = ticker stream only) -----
+const MARKET_POLL_SEC         = Number(process.env.MARKET_POLL_SEC ?? 60);
+
+// ----- Order-book depth for alerted symbols (live socket only) -----
+const DEPTH_ON                = /^(1|true|yes)$/i.test(process.env.DEPTH_ON || 'false');
+const DEPTH_MAX_SLIPPAGE_PCT  = optNum(process.env.DEPTH_MAX_SLIPPAGE_PCT);  // fraction vs mid for NOTIONAL_USDT; unset = no gate
+const DEPTH_GATE_ALERTS       = /^(1|true|yes)$/i.test(process.env.DEPTH_GATE_ALERTS || 'true'); // also drop the alert, not just the entry
+const DEPTH_WAIT_MS           = Number(process.env.DEPTH_WAIT_MS ?? 1500);  // wait for a fresh book before emitting
+const DEPTH_TTL_SEC           = Number(process.env.DEPTH_TTL_SEC ?? 300);   // unsubscribe after this long without alerts
+
+// ----- Alert severity / rank (sent with every alert) -----
+const levels = (v, d)=> { const xs = String(v || '').split(',').map(Number).filter(Number.isFinite); return xs.length === 3 ? xs : d; };
+const SEVERITY_Z_LEVELS       = levels(process.env.SEVERITY_Z_LEVELS, [3.7, 4.5, 6]);    // z for severity 1,2,3
+const SEVERITY_MOVE_LEVELS    = levels(process.env.SEVERITY_MOVE_LEVELS, [0.6, 1, 2]);   // or move_pct (%) for 1,2,3
+const RANK_WEIGHTS = {
+  severity: Number(process.env.RANK_W_SEVERITY ?? 50),
+  z:        Number(process.env.RANK_W_Z ?? 6),
+  move:     Number(process.env.RANK_W_MOVE ?? 4),
+  pps:      Number(process.env.RANK_W_PPS ?? 2)
+};
+const PPS_WINDOW_SEC          = Number(process.env.PPS_WINDOW_SEC ?? WINDOW_SEC);       // velocity (%/s) span
+const TELEGRAM_MIN_SEVERITY   = Number(process.env.TELEGRAM_MIN_SEVERITY ?? 0);
+const WEBHOOK_MIN_SEVERITY    = Number(process.env.WEBHOOK_MIN_SEVERITY ?? 0);
+
+// ----- Multi-timeframe confluence -----
+const CONFLUENCE_ON        = /^(1|true|yes)$/i.test(process.env.CONFLUENCE_ON || '');
+const CONFLUENCE_SUPPRESS  = /^(1|true|yes)$/i.test(process.env.CONFLUENCE_SUPPRESS || ''); // drop non-aligned alerts
+const CONFLUENCE = {
+  useEma:      /^(1|true|yes)$/i.test(process.env.CONFLUENCE_USE_EMA || 'true'),
+  ordering:    /^(1|true|yes)$/i.test(process.env.CONFLUENCE_ORDERING || 'true'),
+  slopeK:      { '1m': Number(process.env.CONFLUENCE_SLOPE_K_1M ?? 3), '3m': Number(process.env.CONFLUENCE_SLOPE_K_3M ?? 2), '15m': Number(process.env.CONFLUENCE_SLOPE_K_15M ?? 1) },
+  deadzone:    { '1m': Number(process.env.CONFLUENCE_SLOPE_DEADZONE_1M ?? 0.00025), '3m': Number(process.env.CONFLUENCE_SLOPE_DEADZONE_3M ?? 0.0002), '15m': Number(process.env.CONFLUENCE_SLOPE_DEADZONE_15M ?? 0.00015) },
+  volZMin:     Number(process.env.CONFLUENCE_VOL_ZMIN ?? 1.2),
+  distMaxPct:  Number(process.env.CONFLUENCE_DIST_MAX_PCT ?? 0.015),              // fraction from the 1m slow MA
+  cooldownSec: Number(process.env.CONFLUENCE_COOLDOWN_SEC ?? 180),
+  bonus:       Number(process.env.CONFLUENCE_BONUS ?? 10)                          // rank bonus (App.jsx strategy.bonus)
 };
 
-// ===== helpers =====
-const sleep = (ms)=> new Promise(r=>setTimeout(r, ms));
-const num = (x, d=0)=> { const n = Number(x); return Number.isFinite(n) ? n : d; };
-const unique = (a)=> Array.from(new Set(a));
-async function getJSON(url){
-  const r = await fetch(url, { headers: { 'accept':'application/json' }});
-  const t = await r.text();
-  try { return { ok:r.ok, json: JSON.parse(t) }; }
-  catch { return { ok:r.ok, json:null }; }
-}
-function isZeroFeeRow(row){
-  const taker = num(row?.takerFeeRate, NaN);
-  const maker = num(row?.makerFeeRate, NaN);
-  if (!Number.isFinite(taker) || !Number.isFinite(maker)) return false;
-  return Math.max(taker, maker) <= (MAX_TAKER_FEE + 1e-12);
-}
-
-// ===== universe builders =====
-async function universeFromDetail(){
-  const { ok, json } = await getJSON(ENDPOINTS.detail);
-  if (!ok || !json) return [];
-  const rows = Array.isArray(json?.data) ? json.data : [];
-  const keep = [];
-  for (const r of rows){
-    const sym = r?.symbol;
-    if (!sym) continue;
-    if (r?.state !== 0) continue;
-    if (r?.apiAllowed === false) continue;
-    if (ZERO_FEE_ONLY && !isZeroFeeRow(r)) continue;
-    keep.push(sym);
-  }
-  console.log(`[universe/detail] rows=${rows.length} kept=${keep.length}`);
-  return keep;
-}
-async function universeFromTicker(){
-  const { ok, json } = await getJSON(ENDPOINTS.ticker);
-  if (!ok || !json) return [];
-  const rows = Array.isArray(json?.data) ? json.data : [];
-  const syms = rows.map(r=>r?.symbol).filter(Boolean);
-  console.log(`[universe/ticker] rows=${rows.length} kept=${syms.length}`);
-  return syms;
-}
-async function universeFromSymbols(){
-  const { ok, json } = await getJSON(ENDPOINTS.symbols);
-  if (!ok || !json) return [];
-  const rows = Array.isArray(json?.data) ? json.data
-            : Array.isArray(json?.symbols) ? json.symbols : [];
-  const syms = rows.map(r => (typeof r === 'string' ? r : r?.symbol)).filter(Boolean);
-  console.log(`[universe/symbols] rows=${rows.length} kept=${syms.length}`);
-  return syms;
-}
-async function buildUniverse(){
-  let u1=[], u2=[], u3=[];
-  try { u1 = await universeFromDetail(); } catch(e){ console.log('[detail] err', e?.message||e); }
-  if (u1.length < 10) { try { u2 = await universeFromTicker(); } catch(e){} }
-  if (u1.length + u2.length < 10) { try { u3 = await universeFromSymbols(); } catch(e){} }
-  let merged = unique([...u1, ...u2, ...u3]);
-
-  if (ZERO_FEE_ONLY) merged = merged.filter(s => u1.includes(s));
-  if (ZERO_FEE_WHITELIST.length) merged = unique([...merged, ...ZERO_FEE_WHITELIST]);
-  if (UNIVERSE_OVERRIDE.length){ merged = unique([...merged, ...UNIVERSE_OVERRIDE]); }
-
-  if (merged.length === 0 && FALLBACK_TO_ALL && ZERO_FEE_WHITELIST.length){
-    merged = unique([...ZERO_FEE_WHITELIST]);
-    console.log('[universe] fallback to whitelist');
-  }
-  console.log(`[universe] totals all=${merged.length} zf=${ZERO_FEE_ONLY ? merged.length : 0}`);
-  if (merged.length) console.log(`[universe] sample: ${merged.slice(0,10).join(', ')}`);
-  return merged;
-}
+// ----- Autotrade ENV (opt-in) -----
+const AUTOTRADE            = /^(1|true|yes)$/i.test(process.env.AUTOTRADE || '');  // act on alerts at all
+const EXECUTE              = !REPLAY_FILE && /^(1|true|yes)$/i.test(process.env.EXECUTE || ''); // real orders (never in replay)
+const MEXC_KEY             = String(process.env.MEXC_KEY || '').trim();
+const MEXC_SECRET          = String(process.env.MEXC_SECRET || '').trim();
+const NOTIONAL_USDT        = Number(process.env.NOTIONAL_USDT ?? 20);
+const LEVERAGE             = Number(process.env.LEVERAGE ?? 20);
+const MARGIN_MODE          = String(process.env.MARGIN_MODE || 'cross').trim().toLowerCase();
+const MAX_POSITIONS        = Number(process.env.AUTOTRADE_MAX_POSITIONS ?? 3);
+const TRAIL_ENABLE         = /^(1|true|yes)$/i.test(process.env.TRAIL_ENABLE || 'true');
+const TRAIL_START_PCT      = Number(process.env.TRAIL_START_AFTER_PCT ?? 0.003);  // fraction
+const TRAIL_DISTANCE_PCT   = Number(process.env.TRAIL_DISTANCE_PCT ?? 0.004);     // fraction
+const TRAIL_STEP_PCT       = Number(process.env.TRAIL_STEP_PCT ?? 0.001);         // fraction
+
+// ----- Exchange reconciliation (live only) -----
+const RECONCILE_SEC        = Number(process.env.RECONCILE_SEC ?? 60);             // 0 = startup only
+const RECONCILE_ADOPT      = /^(1|true|yes)$/i.test(process.env.RECONCILE_ADOPT || ''); // trail manual positions too
+const TRAIL_STATE_FILE     = String(process.env.TRAIL_STATE_FILE || './data/trailing-state.json');
+
+// ----- Persistent event store -----
+const STORE_ON             = /^(1|true|yes)$/i.test(process.env.STORE_ON || (REPLAY_FILE ? 'false' : 'true'));
+const STORE_DIR            = String(process.env.STORE_DIR || './data/events');
+const STORE_RETENTION_DAYS = Number(process.env.STORE_RETENTION_DAYS ?? 14);
+
+// ----- Paper account (used when EXECUTE is off) -----
+const PAPER_BALANCE        = Number(process.env.PAPER_BALANCE_USDT ?? 1000);
+const PAPER_SLIPPAGE_PCT   = Number(process.env.PAPER_SLIPPAGE_PCT ?? 0.0005);    // fraction per fill
+const PAPER_DEFAULT_FEE    = Number(process.env.PAPER_DEFAULT_TAKER_FEE ?? 0.0002); // when detail has no rate
+const PAPER_STATE_FILE     = String(process.env.PAPER_STATE_FILE ?? (REPLAY_FILE ? '' : './data/paper-state.json')).trim(); // '' = in memory only
+const PAPER_MAX_HOLD_SEC   = Number(process.env.PAPER_MAX_HOLD_SEC ?? 0);           // 0 = exit on the trailing stop only
+
+// ===== contract specs + order books =====
+const specs = new ContractSpecs(); // contract sizes/steps + fee rates, refreshed with the universe
+// order books for alerted symbols; needs the live socket, so off during replay
+const depth = (DEPTH_ON && !REPLAY_FILE) ? new DepthBook({
+  specs, ttlSec: DEPTH_TTL_SEC,
+  fetchSnapshot: async (sym)=>{ const { ok, json } = await getJSON(`${ENDPOINTS.depth}/${sym}`); return ok ? json?.data : null; }
+}) : null;
+if (depth) setInterval(()=> depth.expire(), 30*1000);
 
 // ===== alerts: TV + Telegram (optional) =====
 async function postJson(url, payload){
-  if (!url) return;
+  if (!url || (REPLAY_FILE && !REPLAY_NOTIFY)) return;
   try {
     await fetch(url, { method:'POST', headers:{'content-type':'application/json'}, body: JSON.stringify(payload) });
   } catch(e){ console.log('[WEBHOOK]', e?.message||e); }
 }
 async function sendTelegram(text){
-  if (!TG_TOKEN || !TG_CHAT) return;
+  if (!TG_TOKEN || !TG_CHAT || (REPLAY_FILE && !REPLAY_NOTIFY)) return;
   try {
     await fetch(`https://api.telegram.org/bot${TG_TOKEN}/sendMessage`, {
       method:'POST', headers:{'content-type':'application/json'},
@@ -135,254 +237,487 @@ async function sendTelegram(text){
   } catch(e){ console.log('[TG]', e?.message||e); }
 }
 
-// ===== spike detector =====
-class SpikeEngine {
-  constructor(win=5, minPct=0.003, z=3.0, cooldown=20){
-    this.win=win; this.minPct=minPct; this.z=z; this.cool=cooldown;
-    this.last=new Map(); this.ewma=new Map(); this.block=new Map();
-  }
-  update(sym, price, ts){
-    const prev = this.last.get(sym); this.last.set(sym, { p:price, t:ts });
-    if (!prev || prev.p <= 0) return null;
-    const pct = (price - prev.p)/prev.p, ap = Math.abs(pct);
-    const a = 2/(this.win+1), base = this.ewma.get(sym) ?? ap, ew = a*ap + (1-a)*base;
-    this.ewma.set(sym, ew);
-    const th = Math.max(this.minPct, this.z*ew);
-    if (ap < th) return { is:false };
-    const until = this.block.get(sym) || 0;
-    if (ts < until) return { is:false };
-    this.block.set(sym, ts + this.cool*1000);
-    return { is:true, dir:(pct>=0?'UP':'DOWN'), ap, z: ew>0 ? ap/ew : 999 };
-  }
+// ===== detector registry (shared with src/backtest.js; params use its PARAM_ENV names) =====
+const detectors = createDetectors({
+  windowSec: WINDOW_SEC, minAbsPct: MIN_ABS_PCT, zMult: Z_MULT, cooldownSec: COOLDOWN_SEC, minVolZ: SPIKE_MIN_VOL_Z, spikeOn: SPIKE_ON,
+  earlyOn: EARLY_SPIKE_ON, earlyLookbackSec: EARLY_SPIKE_LOOKBACK/1000, earlyZmin: EARLY_SPIKE_ZMIN,
+  earlyCooldownSec: EARLY_SPIKE_COOLDOWN_MS/1000, earlyMinAbsPct: EARLY_SPIKE_MIN_ABS_PCT, earlyMinVolZ: EARLY_SPIKE_MIN_VOL_Z,
+  earlyExcludeCurrent: EARLY_SPIKE_EXCLUDE_CURRENT,
+  rangeOn: RANGE_BREAKOUT_ON, rangeMin: RANGE_BREAKOUT_MINUTES, rangeMinPct: RANGE_BREAKOUT_MIN_PCT, rangeCooldownSec: RANGE_BREAKOUT_COOLDOWN_SEC,
+  vwapOn: VWAP_DEV_ON, vwapMin: VWAP_DEV_MINUTES, vwapMinPct: VWAP_DEV_MIN_PCT, vwapZmin: VWAP_DEV_ZMIN, vwapCooldownSec: VWAP_DEV_COOLDOWN_SEC,
+  momentumOn: MOMENTUM_ON, momentumBars: MOMENTUM_BARS, momentumMinPct: MOMENTUM_MIN_PCT, momentumCooldownSec: MOMENTUM_COOLDOWN_SEC
+});
+const DETECTOR_TAG = { early: '[EARLY]', scanner: '[ALERT]' }; // log tags; others are [NAME]
+const scorer = new AlertScorer({ zLevels: SEVERITY_Z_LEVELS, moveLevels: SEVERITY_MOVE_LEVELS, weights: RANK_WEIGHTS });
+const volume = new VolumeTracker({ shortSec: VOLUME_Z_WINDOW_SEC, baselineSec: VOLUME_BASELINE_SEC });
+
+// volume fields for alert payloads; USDT needs the contract size (null when unknown, e.g. offline replay)
+function volumeFields(sym, v, price){
+  const cs = specs.get(sym)?.contractSize;
+  return {
+    volume_z: v?.z != null ? Number(v.z.toFixed(2)) : null,
+    volume_usdt_1m: (v && cs > 0) ? Number((v.vol1m * cs * price).toFixed(2)) : null
+  };
 }
-const spike = new SpikeEngine(WINDOW_SEC, MIN_ABS_PCT, Z_MULT, COOLDOWN_SEC);
+
+// ===== 1m candles (shared by confluence, /candles and the dashboard) =====
+const candles = new CandleStore({ history: CANDLE_1M_HISTORY });
+candles.require(Math.max(RANGE_BREAKOUT_ON ? RANGE_BREAKOUT_MINUTES : 0, VWAP_DEV_ON ? VWAP_DEV_MINUTES : 0, MOMENTUM_ON ? MOMENTUM_BARS : 0) + 2);
+const confluence = CONFLUENCE_ON ? new Confluence({ ...CONFLUENCE, candles }) : null;
 
 // ===== state for HTTP/SSE =====
-const recent = [];           // recent alerts ring buffer
-const MAX_RECENT = 800;
-const clients = new Set();   // SSE clients
+const recent = [];           // recent alerts ring buffer (MAX_RECENT)
+const sse = new SseHub({ backlog: SSE_BACKLOG, retryMs: SSE_RETRY_MS }); // /stream clients + replay backlog
+let wsHub = null;            // /ws clients, set up with the HTTP server
+
+// alerts + trade events go to disk; /alerts is re-seeded from it on boot
+const store = STORE_ON ? new EventStore({ dir: STORE_DIR, retentionDays: STORE_RETENTION_DAYS }) : null;
+if (store){
+  recent.push(...store.loadRecent({ kinds:['alert'], limit: MAX_RECENT }));
+  console.log(`[store] ${STORE_DIR} • restored ${recent.length} alerts • retention ${STORE_RETENTION_DAYS}d`);
+}
 
+// every /stream event also goes to /ws subscribers, under the same id
+function sseBroadcast(obj){
+  const id = sse.broadcast(obj);
+  wsHub?.broadcast(obj, id);
+}
 function pushAlert(a){
   recent.unshift(a); if (recent.length > MAX_RECENT) recent.pop();
-  const line = `data: ${JSON.stringify(a)}\n\n`;
-  for (const res of clients){
-    try { res.write(line); } catch {}
+  store?.append('alert', a);
+  sseBroadcast(a);
+}
+
+// ===== autotrade: alert → executor → trailing stop =====
+// Only active with AUTOTRADE=true. With EXECUTE=false entries fill on the paper
+// account and are trailed/closed exactly like live ones; the account and its
+// trailing state are kept in PAPER_STATE_FILE across restarts.
+const paper = new PaperAccount({
+  balance: PAPER_BALANCE, slippagePct: PAPER_SLIPPAGE_PCT, defaultTakerFee: PAPER_DEFAULT_FEE, feeRates: specs,
+  stateFile: (!EXECUTE && PAPER_STATE_FILE) || null
+});
+if (paper.load()) console.log(`[paper] ${PAPER_STATE_FILE} • restored balance ${paper.balance.toFixed(2)} USDT • ${paper.positions.size} open • ${paper.trades.length} trades`);
+// entries need a way out: the trailing stop (live and paper) or a max hold (paper). Live positions
+// are only tracked by the trailing manager, so without it nothing would stop repeat entries either.
+const NO_EXIT = !TRAIL_ENABLE && (EXECUTE || !(PAPER_MAX_HOLD_SEC > 0));
+if (AUTOTRADE && NO_EXIT) console.log(`[trade] TRAIL_ENABLE=false${EXECUTE ? '' : ' and PAPER_MAX_HOLD_SEC=0'}: positions could never close, entries are off`);
+const executor = createExecutor({
+  apiKey: MEXC_KEY, apiSecret: MEXC_SECRET, execute: EXECUTE,
+  leverage: LEVERAGE, marginMode: MARGIN_MODE, notionalUSDT: NOTIONAL_USDT, paper, specs,
+  depth, maxSlippagePct: DEPTH_MAX_SLIPPAGE_PCT
+});
+const trailing = new TrailingManager({
+  startPct: TRAIL_START_PCT, distancePct: TRAIL_DISTANCE_PCT, stepPct: TRAIL_STEP_PCT,
+  stateFile: EXECUTE ? TRAIL_STATE_FILE : (paper.stateFile ? paper.stateFile.replace(/(\.json)?$/, '.trailing.json') : null)
+});
+// restored paper positions pick their trailing state back up (or start trailing from entry)
+if (!EXECUTE && TRAIL_ENABLE && paper.positions.size){
+  const saved = trailing.loadSaved();
+  for (const p of paper.positions.values()){
+    if (saved.has(p.symbol)) trailing.restore(p.symbol, saved.get(p.symbol));
+    else trailing.onEntry(p.symbol, p.side, p.entry, null, { openedAt: p.openedAt });
   }
 }
+const entering = new Set();  // symbols with an entry in flight
 
-// ===== multi-window price history for 1m/5m/15m moves =====
-const priceHist = new Map(); // sym -> array [{t,p}]
-const MAX_AGE_MS = 15*60*1000 + 5000;
+function tradeEvent(kind, fields){
+  const ev = { source:'trade', kind, t: new Date().toISOString(), dry_run: !EXECUTE, ...fields };
+  store?.append(/^(entry|exit)/.test(kind) ? 'order' : 'trail', ev);
+  sseBroadcast(ev);
+  return ev;
+}
 
-function pushPrice(sym, ts, price){
-  let arr = priceHist.get(sym);
-  if (!arr) { arr = []; priceHist.set(sym, arr); }
-  arr.push({ t: ts, p: price });
-  const cutoff = ts - MAX_AGE_MS;
-  while (arr.length && arr[0].t < cutoff) arr.shift();
+async function autoTrade(alert){
+  if (!AUTOTRADE) return;
+  if (NO_EXIT) return;
+  const sym = alert.symbol;
+  const held = EXECUTE ? trailing.positions : paper.positions;
+  if (held.has(sym) || entering.has(sym)) return;
+  if (held.size + entering.size >= MAX_POSITIONS) return;
+  if (EXECUTE && (!MEXC_KEY || !MEXC_SECRET)){ console.log('[trade] EXECUTE=true but MEXC_KEY/MEXC_SECRET missing'); return; }
+
+  const side = alert.direction === 'UP' ? 'long' : 'short';
+  entering.add(sym);
+  try {
+    await executor.ensureSymbolConfig(sym, side === 'long' ? 1 : 2);
+    const r = await executor.entryByNotional(sym, side, alert.price, NOTIONAL_USDT);
+    if (r?.success !== true){ // only a confirmed fill counts (a 5xx page parses to {})
+      const reason = r?.message || (r?.code != null ? `code ${r.code}` : `no fill confirmation${r?.status ? ` (HTTP ${r.status})` : ''}`);
+      console.log('[trade] entry rejected', sym, reason);
+      tradeEvent('entry_failed', { symbol: sym, side, reason });
+      return;
+    }
+    const entry = r?.price ?? alert.price;
+    if (TRAIL_ENABLE) trailing.onEntry(sym, side, entry, EXECUTE ? r?.vol : null);
+    const ev = tradeEvent('entry', {
+      symbol: sym, side, price: entry, notional_usdt: NOTIONAL_USDT, leverage: LEVERAGE,
+      vol: r?.vol ?? null, fee: r?.fee ?? null, order_id: r?.data ?? null, signal: alert.source
+    });
+    console.log('[trade]', `${EXECUTE ? 'ENTRY' : 'PAPER ENTRY'} ${sym} ${side} @ ${entry} • ${ev.t}`);
+    sendTelegram(`${EXECUTE ? '🟢 ENTRY' : '📝 PAPER ENTRY'} ${sym} ${side.toUpperCase()} @ ${entry} (${NOTIONAL_USDT} USDT x${LEVERAGE})`);
+  } catch(e){
+    console.log('[trade] entry error', sym, e?.message||e);
+    tradeEvent('entry_failed', { symbol: sym, side, reason: String(e?.message||e) });
+  } finally {
+    entering.delete(sym);
+  }
+}
+
+function trailOnPrice(sym, price){
+  if (paper.positions.has(sym)) paper.mark(sym, price);
+  if (!trailing.positions.size) return;
+  const upd = trailing.onPrice(sym, price);
+  if (!upd) return;
+  if (upd.hit) return closeOnStop(sym, upd);
+  tradeEvent('stop_update', { symbol: sym, side: upd.side, price, stop: Number(upd.stop.toPrecision(8)) });
+}
+
+function closeOnStop(sym, hit){
+  return closeTrade(sym, hit.side, hit.price, 'trailing_stop', hit.stop);
 }
-function pctFrom(arr, ts, ms){
-  const fromTs = ts - ms;
-  if (!arr.length) return null;
-  let base = null;
-  for (let i=0;i<arr.length;i++){
-    if (arr[i].t >= fromTs) { base = arr[i]; break; }
+
+// reason: trailing_stop | max_hold; stop only for the trailing stop
+async function closeTrade(sym, side, price, reason, stop = null){
+  const p = trailing.positions.get(sym);
+  if (p) p.closing = true;
+  const entry = p?.entry ?? paper.positions.get(sym)?.entry ?? null;
+  const why = stop != null ? `trailing stop ${stop.toPrecision(6)}` : reason.replace('_', ' ');
+  try {
+    const r = await executor.closePosition(sym, side, { vol: p?.vol, entry, price, reason });
+    if (r?.success === false) throw new Error(r?.message || `code ${r?.code}`);
+    trailing.close(sym);
+    const exit = r?.price ?? price;
+    const pnl = Number.isFinite(r?.pnl) ? Number(r.pnl.toFixed(4)) : null;
+    tradeEvent('exit', {
+      symbol: sym, side, reason, price: exit, entry,
+      stop: stop != null ? Number(stop.toPrecision(8)) : null, pnl_usdt: pnl, order_id: r?.data ?? null
+    });
+    const tag = EXECUTE ? '🔴 EXIT' : '📝 PAPER EXIT';
+    console.log('[trade]', `${tag} ${sym} ${side} @ ${exit} (${why}) pnl=${pnl ?? '?'} USDT`);
+    sendTelegram(`${tag} ${sym} ${side.toUpperCase()} @ ${exit} • ${why} • PnL ${pnl ?? '?'} USDT`);
+  } catch(e){
+    console.log('[trade] close failed', sym, e?.message||e);
+    tradeEvent('exit_failed', { symbol: sym, side, reason: String(e?.message||e) });
+    setTimeout(()=>{ if (p) p.closing = false; }, 5000); // re-arm: next tick through the stop (or the next max-hold check) retries
   }
-  if (!base) return null;
-  const last = arr[arr.length-1];
-  if (!last || base.p <= 0) return null;
-  return ((last.p - base.p) / base.p) * 100; // percent
 }
-function rollingHiLo(arr, ts, lookbackMs){
-  const from = ts - lookbackMs;
-  let hi = -Infinity, lo = Infinity;
-  for (let i = arr.length - 1; i >= 0; i--){
-    const {t, p} = arr[i];
-    if (t < from) break;
-    if (p > hi) hi = p;
-    if (p < lo) lo = p;
+
+// paper positions older than PAPER_MAX_HOLD_SEC are closed at their last mark
+if (!EXECUTE && PAPER_MAX_HOLD_SEC > 0){
+  setInterval(()=>{
+    const now = Date.now();
+    for (const p of paper.positions.values()){
+      if (now - p.openedAt < PAPER_MAX_HOLD_SEC*1000 || trailing.positions.get(p.symbol)?.closing) continue;
+      closeTrade(p.symbol, p.side, p.mark, 'max_hold');
+    }
+  }, 5000);
+}
+
+// ===== reconciliation: exchange positions ↔ trailing state =====
+// Live mode only. Startup restores trailing state for positions we opened
+// (TRAIL_STATE_FILE), then re-checks every RECONCILE_SEC.
+const reconciler = (EXECUTE && MEXC_KEY && MEXC_SECRET)
+  ? new Reconciler({ executor, trailing, adopt: RECONCILE_ADOPT })
+  : null;
+let flagged = new Set(); // findings already notified (status:symbol:side)
+
+async function reconcileNow(why){
+  if (!reconciler) return;
+  let rep;
+  try { rep = await reconciler.run({ skip: entering }); }
+  catch(e){ console.log('[reconcile]', why, 'failed', e?.message||e); return; }
+  const seen = new Set();
+  for (const f of rep.findings){
+    const key = `${f.status}:${f.symbol}:${f.side || ''}`;
+    seen.add(key);
+    if (flagged.has(key)) continue;
+    tradeEvent('reconcile', f);
+    console.log('[reconcile]', f.status, f.symbol, f.side || '', f.detail || '');
+    if (f.status !== 'recognised') sendTelegram(`⚠️ RECONCILE ${f.status.toUpperCase()} ${f.symbol} ${f.side ? f.side.toUpperCase() : ''}${f.detail ? ' • ' + f.detail : ''}`);
   }
-  return {hi, lo};
+  flagged = seen;
+  if (why === 'startup') console.log(`[reconcile] startup positions=${rep.positions} orders=${rep.orders} managed=${trailing.positions.size}`);
+}
+if (reconciler){
+  reconcileNow('startup');
+  if (RECONCILE_SEC > 0) setInterval(()=> reconcileNow('periodic'), RECONCILE_SEC*1000);
 }
 
-// Early mode per-symbol gate
-const earlyBlockUntil = new Map(); // sym -> ts
+// ===== multi-window price history for the MOVE_WINDOWS moves (+ live top movers) =====
+const history = new PriceHistory({ windows: MOVE_WINDOWS, hiLoSec: [EARLY_SPIKE_LOOKBACK/1000] }); // early's lookback hi/lo
+const movers = new TopMovers({ history, topN: LIVE_UPDATES_TOP_N, minChangePct: LIVE_UPDATES_MIN_CHANGE_PCT });
 
-// ===== streaming loop =====
-const WS_URL = 'wss://contract.mexc.com/edge';
+// ===== tick recorder =====
+const recorder = (RECORD_TICKS && !REPLAY_FILE) ? new TickRecorder({ dir: RECORD_DIR, retentionHours: RECORD_RETENTION_H }) : null;
+if (recorder) console.log(`[recorder] writing push.tickers frames to ${RECORD_DIR} (hourly .log.gz)`);
 
-async function runLoop(){
-  while (true){
-    console.log(`[init] config ▶ win=${WINDOW_SEC}s  z≈${Z_MULT}  fee=${MAX_TAKER_FEE}  cooldown=${COOLDOWN_SEC}s  early=${EARLY_SPIKE_ON?'on':'off'}`);
-    let universe = [];
-    try { universe = await buildUniverse(); } catch(e){ console.error('[universe/fatal]', e?.message||e); }
-    if (!universe.length){ await sleep(UNIVERSE_REFRESH_SEC*1000); continue; }
-
-    const set = new Set(universe);
-    console.log(`[info] Universe in use = ${set.size} symbols`);
-
-    const untilTs = Date.now() + UNIVERSE_REFRESH_SEC*1000;
-
-    await new Promise((resolve)=>{
-      let ws, pingTimer=null;
-      const stop = ()=>{ try{ clearInterval(pingTimer); }catch{} try{ ws?.close(); }catch{} resolve(); };
-
-      ws = new WebSocket(WS_URL);
-      ws.on('open', ()=>{
-        ws.send(JSON.stringify({ method:'sub.tickers', param:{} }));
-        pingTimer = setInterval(()=>{ try{ ws.send(JSON.stringify({ method:'ping' })); }catch{} }, 15000);
-      });
-      ws.on('message', (buf)=>{
-        if (Date.now() >= untilTs) return stop();
-        let msg; try { msg = JSON.parse(buf.toString()); } catch { return; }
-        if (msg?.channel !== 'push.tickers' || !Array.isArray(msg?.data)) return;
-        const ts = Number(msg.ts || Date.now());
-
-        for (const x of msg.data){
-          const sym = x.symbol;
-          if (!sym || !set.has(sym)) continue;
-          const price = num(x.lastPrice, 0); if (price <= 0) continue;
-
-          // track price history for 1m/5m/15m
-          pushPrice(sym, ts, price);
-          const arr = priceHist.get(sym) || [];
-          const mv1  = pctFrom(arr, ts, 60*1000);
-          const mv5  = pctFrom(arr, ts, 5*60*1000);
-          const mv15 = pctFrom(arr, ts, 15*60*1000);
-
-          // ----- Early Spike (fires before normal spike)
-          let earlyFired = false;
-          let out = null;
-
-          if (EARLY_SPIKE_ON && arr.length >= 2){
-            const last = arr[arr.length - 1];
-            const prev = arr[arr.length - 2];
-            const tickPct = (last.p - prev.p) / prev.p;   // fraction
-            const apTick  = Math.abs(tickPct);
-
-            // tiny EWMA for tick z-score (reuse engine speed constant)
-            if (!spike._earlyEWMA) spike._earlyEWMA = new Map();
-            const a = 2/(WINDOW_SEC + 1);
-            const base = spike._earlyEWMA.get(sym) ?? apTick;
-            const ew   = a*apTick + (1-a)*base;
-            spike._earlyEWMA.set(sym, ew);
-            const zNow = ew > 0 ? apTick/ew : 999;
-
-            const {hi, lo} = rollingHiLo(arr, ts, EARLY_SPIKE_LOOKBACK);
-            const isNewHigh = last.p > hi && Number.isFinite(hi);
-            const isNewLow  = last.p < lo && Number.isFinite(lo);
-
-            const until = earlyBlockUntil.get(sym) || 0;
-            const cdOK  = ts >= until;
-
-            if (cdOK && ew>0 && zNow >= EARLY_SPIKE_ZMIN && apTick >= EARLY_SPIKE_MIN_ABS_PCT && (isNewHigh || isNewLow)){
-              earlyFired = true;
-              earlyBlockUntil.set(sym, ts + EARLY_SPIKE_COOLDOWN_MS);
-
-              const dir = isNewHigh ? 'UP' : 'DOWN';
-              const payload = {
-                source: 'early',
-                t: new Date(ts).toISOString(),
-                symbol: sym,
-                price,
-                direction: dir,
-                move_pct: Number((apTick*100).toFixed(3)),  // tick move%
-                z_score: Number(zNow.toFixed(2)),
-                window_sec: WINDOW_SEC,
-                move_1m:  mv1  != null ? Number(mv1.toFixed(3))  : null,
-                move_5m:  mv5  != null ? Number(mv5.toFixed(3))  : null,
-                move_15m: mv15 != null ? Number(mv15.toFixed(3)) : null
-              };
-
-              console.log('[EARLY]', `⚡ ${sym} ${dir} tick ${payload.move_pct}% (z≈${payload.z_score}) • ${payload.t}`);
-              pushAlert(payload);
-              postJson(TV_WEBHOOK_URL, payload);
-              sendTelegram(`EARLY ⚡ ${sym} ${dir} tick ${payload.move_pct}% (z≈${payload.z_score}) • ${payload.t}`);
-            }
-          }
-
-          // normal spike engine (skip if early already fired on this tick)
-          out = earlyFired ? null : spike.update(sym, price, ts);
-          if (!out?.is) continue;
-
-          const payload = {
-            source: 'scanner',
-            t: new Date(ts).toISOString(),
-            symbol: sym,
-            price,
-            direction: out.dir,
-            move_pct: Number((out.ap*100).toFixed(3)), // short-window burst %
-            z_score: Number(out.z.toFixed(2)),
-            window_sec: WINDOW_SEC,
-            move_1m:  mv1  != null ? Number(mv1.toFixed(3))  : null,
-            move_5m:  mv5  != null ? Number(mv5.toFixed(3))  : null,
-            move_15m: mv15 != null ? Number(mv15.toFixed(3)) : null
-          };
-
-          console.log('[ALERT]', `⚡ ${sym} ${out.dir} ${payload.move_pct}% (z≈${payload.z_score}) • ${payload.t}`);
-          pushAlert(payload);
-          postJson(TV_WEBHOOK_URL, payload);
-          sendTelegram(`⚡ ${sym} ${out.dir} ${payload.move_pct}% (z≈${payload.z_score}) • ${payload.t}`);
-        }
-      });
-      ws.on('error', e => console.error('[ws]', e?.message || e));
-      ws.on('close', () => stop());
+// ===== funding / open interest / basis =====
+const market = new MarketContext();
+async function refreshMarket(){
+  const { ok, json } = await getJSON(ENDPOINTS.ticker);
+  if (!ok || !Array.isArray(json?.data)) return;
+  const ts = Date.now();
+  for (const r of json.data) if (r?.symbol) market.update(r.symbol, ts, r);
+}
+// next settle time is per symbol only; fetched when a symbol alerts and its cached value is stale
+const fundingInflight = new Set();
+async function refreshFunding(sym){
+  if (REPLAY_FILE || fundingInflight.has(sym) || !market.fundingStale(sym, Date.now())) return;
+  fundingInflight.add(sym);
+  try {
+    const { ok, json } = await getJSON(`${ENDPOINTS.funding}/${sym}`);
+    if (ok && json?.data) market.updateFunding(sym, Date.now(), json.data);
+  } catch(e){ console.error('[funding]', sym, e?.message||e); }
+  finally { fundingInflight.delete(sym); }
+}
+if (!REPLAY_FILE && MARKET_POLL_SEC > 0){
+  const poll = ()=> refreshMarket().catch(e=> console.error('[market]', e?.message||e));
+  poll();
+  setInterval(poll, MARKET_POLL_SEC*1000);
+}
+
+// ===== alert emission =====
+// Attaches the confluence verdict and severity/rank, then fans out to SSE/store, TV, Telegram and autotrade.
+// With DEPTH_ON the fan-out waits (up to DEPTH_WAIT_MS) for the symbol's order book.
+// Returns false when the alert was suppressed.
+function emitAlert(payload, tag, text){
+  if (confluence){
+    payload.strategy = confluence.evaluate(payload.symbol, payload.direction, payload.price, Date.parse(payload.t));
+    if (CONFLUENCE_SUPPRESS && (!payload.strategy.aligned || payload.strategy.repeat)) return false;
+  }
+  Object.assign(payload, scorer.score({
+    z: payload.z_score, movePct: payload.move_pct,
+    pps: history.velocity(payload.symbol, Date.parse(payload.t), PPS_WINDOW_SEC*1000),
+    bonus: payload.strategy?.aligned ? payload.strategy.bonus : 0
+  }));
+  refreshFunding(payload.symbol);
+  if (depth?.watch(payload.symbol)){
+    depth.ready(payload.symbol, DEPTH_WAIT_MS).then(()=> dispatchAlert(payload, tag, text))
+      .catch(e=> console.error('[depth] alert dispatch', payload.symbol, e?.message||e));
+    return true;
+  }
+  dispatchAlert(payload, tag, text);
+  return true;
+}
+function dispatchAlert(payload, tag, text){
+  if (depth){
+    const side = payload.direction === 'UP' ? 'long' : 'short';
+    Object.assign(payload, depth.estimate(payload.symbol, side, NOTIONAL_USDT) || {});
+    const thin = DEPTH_GATE_ALERTS && depth.reject(payload.symbol, side, NOTIONAL_USDT, DEPTH_MAX_SLIPPAGE_PCT);
+    if (thin){ console.log(tag, `skip ${payload.symbol}: ${thin}`); return; }
+  }
+  const tf = payload.strategy?.aligned ? ' TF✓' : '';
+  console.log(tag, text + tf);
+  pushAlert(payload);
+  if (payload.severity >= WEBHOOK_MIN_SEVERITY) postJson(TV_WEBHOOK_URL, payload);
+  if (payload.severity >= TELEGRAM_MIN_SEVERITY) sendTelegram((tag === '[EARLY]' ? 'EARLY ' : '') + text + tf);
+  autoTrade(payload);
+}
+
+// ===== tick handler (shared by the live socket and replay) =====
+// set: symbols to act on (null = every symbol in the frame). Returns the parsed frame.
+function onFrame(raw, set){
+  let msg; try { msg = JSON.parse(raw); } catch { return null; }
+  if (depth?.onMessage(msg)) return msg;
+  if (msg?.channel === 'push.deal'){ onDeals(msg); return msg; }
+  if (msg?.channel !== 'push.tickers' || !Array.isArray(msg?.data)) return msg;
+  recorder?.write(raw);
+  onTickers(msg, set);
+  return msg;
+}
+
+function onTickers(msg, set){
+  const ts = Number(msg.ts || Date.now());
+  lastTickTs = ts;
+
+  for (const x of msg.data){
+    const sym = x.symbol;
+    if (!sym) continue;
+    const price = num(x.lastPrice, 0); if (price <= 0) continue;
+    if (set && !set.has(sym)){
+      // a symbol that left the universe still marks / trails its open position until it closes
+      if (trailing.positions.has(sym) || paper.positions.has(sym)) trailOnPrice(sym, price);
+      continue;
+    }
+
+    // track price history for the move windows
+    const series = history.push(sym, ts, price);
+    candles.update(sym, ts, price, num(x.volume24, NaN));
+    const vol = volume.update(sym, ts, num(x.volume24, NaN));
+    market.update(sym, ts, x);
+    trailOnPrice(sym, price);
+    const moves = moveFields(history.moves(sym, ts));
+
+    // detectors in registry order; the spike engine is skipped when early fired on this tick
+    detectors.run({ symbol: sym, ts, price, series, candles, volZ: vol?.z ?? null }, (name, sig)=>{
+      const payload = {
+        source: name,
+        t: new Date(ts).toISOString(),
+        symbol: sym,
+        price,
+        direction: sig.direction,
+        move_pct: Number((sig.absPct*100).toFixed(3)), // detector move % (tick / window / beyond range ...)
+        z_score: sig.z != null ? Number(sig.z.toFixed(2)) : null,
+        window_sec: sig.windowSec ?? WINDOW_SEC,
+        move_schema: MOVE_SCHEMA,
+        ...moves,
+        ...sig.fields,
+        ...volumeFields(sym, vol, price),
+        ...market.fields(sym, price, ts),
+        imbalance: flowImbalance(sym, ts)
+      };
+      const z = payload.z_score != null ? ` (z≈${payload.z_score})` : '';
+      const text = `⚡ ${sym} ${sig.direction}${sig.label ? ' ' + sig.label : ''} ${payload.move_pct}%${z} • ${payload.t}`;
+      return emitAlert(payload, DETECTOR_TAG[name] || `[${name.toUpperCase()}]`, text);
     });
   }
 }
-runLoop().catch(e=>{ console.error('[fatal]', e?.message||e); process.exit(1); });
+
+// ===== trade flow (deals) for the hot symbols =====
+const flow = (FLOW_ON && !REPLAY_FILE) ? new TradeFlow({
+  shortSec: FLOW_WINDOW_SEC, baselineSec: FLOW_BASELINE_SEC, minImbalance: FLOW_MIN_IMBALANCE,
+  minBurstZ: FLOW_MIN_BURST_Z, minTrades: FLOW_MIN_TRADES, cooldownSec: FLOW_COOLDOWN_SEC, maxSymbols: FLOW_TOP_N
+}) : null;
+function flowImbalance(sym, ts){
+  const st = flow?.stats(sym, ts);
+  return st?.imbalance != null ? Number(st.imbalance.toFixed(3)) : null;
+}
+function onDeals(msg){
+  const sym = flow?.onMessage(msg);
+  if (!sym) return;
+  const ts = Date.now();
+  const f = flow.check(sym, ts);
+  if (!f) return;
+  const payload = {
+    source: 'flow',
+    t: new Date(ts).toISOString(),
+    symbol: sym,
+    price: f.price,
+    direction: f.direction,
+    imbalance: Number(f.imbalance.toFixed(3)),
+    buy_vol: f.buy_vol,
+    sell_vol: f.sell_vol,
+    trades: f.trades,
+    trades_z: Number(f.trades_z.toFixed(2)),
+    window_sec: FLOW_WINDOW_SEC,
+    move_schema: MOVE_SCHEMA,
+    ...moveFields(history.moves(sym, ts))
+  };
+  // no z_score / move_pct here: the trade burst z stands in for z; the window moves fill the % columns
+  Object.assign(payload, scorer.score({ z: payload.trades_z, pps: history.velocity(sym, ts, PPS_WINDOW_SEC*1000) }));
+  const line = `🌊 ${sym} ${f.direction} flow ${Math.round(Math.abs(f.imbalance)*100)}% ${f.direction === 'UP' ? 'buy' : 'sell'} • ${f.trades} trades (z≈${payload.trades_z}) • ${payload.t}`;
+  console.log('[FLOW]', line);
+  pushAlert(payload);
+  if (payload.severity >= WEBHOOK_MIN_SEVERITY) postJson(TV_WEBHOOK_URL, payload);
+  if (payload.severity >= TELEGRAM_MIN_SEVERITY) sendTelegram(line);
+}
+
+// ===== live top movers: SSE 'update' rows + the trade-flow hot set =====
+// ranked on the latest tick time so replay ranks by recorded time, not wall clock
+let lastTickTs = 0;
+if (LIVE_UPDATES_ON || flow){
+  setInterval(()=>{
+    const ts = lastTickTs || Date.now();
+    const rows = movers.rank(ts);
+    if (!rows.length) return;
+    flow?.setHot(rows.slice(0, FLOW_TOP_N).map(r => r.symbol));
+    if (!LIVE_UPDATES_ON) return;
+    const ups = movers.updates(rows, ts);
+    for (const u of ups){
+      sseBroadcast(u);
+      if (STORE_UPDATES) store?.append('update', u);
+    }
+    if (ups.length) console.log(`[push] updates sent=${ups.length}`);
+  }, LIVE_UPDATES_INTERVAL_MS);
+}
+
+// ===== streaming loop =====
+// feed health: stale/half-open sockets are dropped and reconnected with backoff;
+// up/down transitions go to SSE, the store and Telegram
+const feed = new FeedMonitor({
+  staleSec: FEED_STALE_SEC, pongSec: FEED_PONG_TIMEOUT_SEC,
+  onStatus: (st)=>{
+    const ev = { source:'feed', t: new Date().toISOString(), ...st };
+    console.log('[feed]', st.status, st.reason || '', st.gap_ms != null ? `gap ${(st.gap_ms/1000).toFixed(1)}s` : '');
+    store?.append('feed', ev);
+    sseBroadcast(ev);
+    if (FEED_NOTIFY) sendTelegram(st.status === 'down'
+      ? `⚠️ MEXC feed down: ${st.reason}`
+      : `✅ MEXC feed back after ${(st.gap_ms/1000).toFixed(0)}s (${st.reason})`);
+  }
+});
+const scanner = new MexcScanner({ feed, backoff: new Backoff({ minMs: FEED_BACKOFF_MIN_MS, maxMs: FEED_BACKOFF_MAX_MS }) });
+scanner.onOpen = (ws)=>{ depth?.attach(ws); flow?.attach(ws); };
+scanner.onClose = ()=>{ depth?.detach(); flow?.detach(); };
+scanner.onFrame = (raw)=> onFrame(raw, activeSet);
+
+// ===== universe: refreshed in the background, swapped without touching the socket =====
+let activeSet = null; // Set of symbols the tick handler acts on; replaced wholesale on refresh
+// per-symbol state of a symbol that left the universe (open positions are kept and still get prices in onTickers)
+function dropSymbol(sym){
+  history.delete(sym); movers.drop(sym); detectors.drop(sym); volume.drop(sym); market.drop(sym);
+  candles.drop(sym); confluence?.drop(sym); depth?.drop(sym); flow?.drop(sym);
+}
+
+async function refreshUniverse(){
+  let universe = [];
+  try {
+    universe = await buildUniverse({
+      zeroFeeOnly: ZERO_FEE_ONLY, maxTakerFee: MAX_TAKER_FEE, whitelist: ZERO_FEE_WHITELIST,
+      override: UNIVERSE_OVERRIDE, fallbackToAll: FALLBACK_TO_ALL, specs
+    });
+  } catch(e){ console.error('[universe/fatal]', e?.message||e); }
+  if (!universe.length) return false; // keep the current set on a failed refresh
+  const next = new Set(universe);
+  const prev = activeSet;
+  activeSet = next;
+  if (!prev){ console.log(`[info] Universe in use = ${next.size} symbols`); return true; }
+  const added = universe.filter(s => !prev.has(s));
+  const removed = Array.from(prev).filter(s => !next.has(s));
+  if (!added.length && !removed.length) return true;
+  for (const sym of removed) dropSymbol(sym);
+  const ev = { source:'universe', kind:'universe_change', t: new Date().toISOString(), added, removed, size: next.size };
+  console.log(`[universe] +${added.length} -${removed.length} → ${next.size}`, added.length ? `new: ${added.join(', ')}` : '', removed.length ? `gone: ${removed.join(', ')}` : '');
+  store?.append('universe', ev);
+  sseBroadcast(ev);
+  sendTelegram(`🗂 Universe ${next.size} symbols` +
+    (added.length ? `\n+ ${added.join(', ')}` : '') + (removed.length ? `\n− ${removed.join(', ')}` : ''));
+  return true;
+}
+
+async function runLoop(){
+  console.log(`[init] config ▶ win=${WINDOW_SEC}s  z≈${Z_MULT}  fee=${MAX_TAKER_FEE}  cooldown=${COOLDOWN_SEC}s  detectors=${detectors.enabled().join(',')}  confluence=${CONFLUENCE_ON?(CONFLUENCE_SUPPRESS?'filter':'tag'):'off'}  autotrade=${AUTOTRADE?(EXECUTE?'live':'dry'):'off'}`);
+  while (!(await refreshUniverse())) await sleep(UNIVERSE_REFRESH_SEC*1000);
+  setInterval(()=> refreshUniverse(), UNIVERSE_REFRESH_SEC*1000);
+  // the universe refresh never reconnects; the scanner only does on a lost feed
+  await scanner.run();
+}
+
+// ===== offline replay =====
+// Feeds a recording through onFrame at REPLAY_SPEED; HTTP/SSE run as usual.
+function resetDetectors(){
+  history.clear(); movers.clear(); detectors.reset(); volume.reset(); market.reset();
+  candles.clear(); confluence?.lastAligned.clear();
+}
+async function runReplay(){
+  const files = resolveTickFiles(REPLAY_FILE);
+  if (!files.length) throw new Error(`no recordings in ${REPLAY_FILE}`);
+  const set = UNIVERSE_OVERRIDE.length ? new Set(UNIVERSE_OVERRIDE) : null;
+  console.log(`[replay] ${files.length} file(s) from ${REPLAY_FILE} @ ${REPLAY_SPEED > 0 ? REPLAY_SPEED + 'x' : 'max speed'}${REPLAY_LOOP ? ' (loop)' : ''}`);
+  do {
+    const t0 = Date.now();
+    await replayTicks(files, { speed: REPLAY_SPEED, onFrame: (raw)=> onFrame(raw, set) });
+    console.log(`[replay] pass done in ${((Date.now()-t0)/1000).toFixed(1)}s • alerts=${recent.length}`);
+    if (REPLAY_LOOP) resetDetectors();
+  } while (REPLAY_LOOP);
+}
+
+(REPLAY_FILE ? runReplay() : runLoop()).catch(e=>{ console.error('[fatal]', e?.message||e); process.exit(1); });
 
 // ===== simple HTTP (SSE + /live + /alerts) =====
-const LIVE_HTML = (tag='')=>`<!doctype html>
-<html lang="en"><meta charset="utf-8"/><title>MEXC Live Alerts</title>
-<meta name="viewport" content="width=device-width,initial-scale=1"/>
-<style>
-:root{--bg:#0b0f1a;--panel:#0f1733;--text:#dbe2ff;--muted:#9fb7ff;--up:#20d080;--dn:#ff6b6b;--chip:#223061;--b:#19203a}
-*{box-sizing:border-box}body{margin:0;background:var(--bg);color:var(--text);font:14px system-ui,Segoe UI,Roboto,Helvetica,Arial}
-header{position:sticky;top:0;background:#0b0f1ad9;border-bottom:1px solid var(--b);padding:12px 16px;display:flex;gap:10px;align-items:center}
-.tag{font-size:12px;color:var(--muted);background:var(--chip);border:1px solid #2b3b8f;border-radius:999px;padding:2px 8px}
-.btn{padding:6px 10px;border:1px solid #2b3b8f;border-radius:6px;text-decoration:none;color:var(--muted)}
-main{max-width:1200px;margin:0 auto;padding:12px}
-.row{display:flex;align-items:center;padding:10px 8px;border-bottom:1px solid #131b3a}
-.sym{width:180px;font-weight:600}
-.dir{width:90px;font-weight:700}.dir.up{color:var(--up)}.dir.down{color:var(--dn)}
-.pct{width:120px}.time{margin-left:auto;font-size:12px;color:var(--muted)}
-</style>
-<header> <div style="font-weight:700">Live Alerts</div>
-  <span class="tag">${tag||''}</span>
-  <a class="btn" href="/alerts" target="_blank">JSON</a>
-  <a class="btn" href="/sse-viewer" target="_blank">Raw SSE</a>
-</header>
-<main id="list"><small style="color:var(--muted)">Waiting for stream…</small></main>
-<script>
-const list = document.getElementById('list');
-const row = (a)=>{
-  const tv = "https://www.tradingview.com/chart/?symbol=" + (a.symbol||'').replace('_','') + ":MEXC";
-  const mex="https://www.mexc.com/exchange/"+(a.symbol||'').replace('_','-');
-  const div = document.createElement('div'); div.className='row';
-  const mv = a.move_1m ?? a.move_pct ?? 0;
-  div.innerHTML =
-    '<div class="sym">'+a.symbol+'</div>'+
-    '<div class="dir '+((a.direction||'UP')==='UP'?'up':'down')+'">'+(((a.direction||'UP')==='UP')?'▲ LONG':'▼ SHORT')+'</div>'+
-    '<div class="pct">'+Number(mv).toFixed(3)+'%</div>'+
-    '<a class="btn" target="_blank" href="'+mex+'">MEXC</a>'+
-    '<a class="btn" target="_blank" href="'+tv+'">TV</a>'+
-    '<div class="time">'+new Date(a.t).toLocaleTimeString()+'</div>';
-  return div;
-};
-fetch('/alerts').then(r=>r.json()).then(arr=>{ list.innerHTML=''; arr.forEach(a=>list.appendChild(row(a))); });
-const es = new EventSource('/stream');
-es.onmessage = (ev)=>{ try{ const a=JSON.parse(ev.data); list.prepend(row(a)); if (list.children.length>500) list.lastChild?.remove(); }catch{} };
-</script>
-`;
-
-const sseHeaders = {
-  'Content-Type': 'text/event-stream',
-  'Cache-Control': 'no-cache, no-transform',
-  'Connection': 'keep-alive',
-  'Access-Control-Allow-Origin': '*'
-};
 const jsonHeaders = { 'content-type':'application/json', 'Access-Control-Allow-Origin':'*' };
+// numeric query param: absent or empty → d (num(null) would be 0)
+const qNum = (v, d)=> (v == null || v === '' ? d : num(v, d));
 const htmlHeaders = { 'content-type':'text/html; charset=utf-8', 'Access-Control-Allow-Origin':'*' };
 
 const server = http.createServer((req, res)=>{
@@ -390,7 +725,7 @@ const server = http.createServer((req, res)=>{
     res.writeHead(204, {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type'
+      'Access-Control-Allow-Headers': 'Content-Type, Last-Event-ID'
     });
     return res.end();
   }
@@ -403,29 +738,84 @@ const server = http.createServer((req, res)=>{
     return;
   }
   if (path === '/alerts'){
+    // same filter params as /stream
+    let filter;
+    try { filter = StreamFilter.fromQuery(u.searchParams, { moveField: MOVE_WINDOWS[0].field }); }
+    catch(e){ res.writeHead(400, jsonHeaders); res.end(JSON.stringify({ error: e.message })); return; }
+    res.writeHead(200, jsonHeaders);
+    res.end(JSON.stringify(filter.empty ? recent : recent.filter(a => filter.match(a))));
+    return;
+  }
+  if (path === '/history'){
+    // ?from=&to= (ms or ISO) &kind=alert,order,trail,update &symbol= &limit=
+    if (!store){ res.writeHead(404, jsonHeaders); res.end(JSON.stringify({ error:'store disabled' })); return; }
+    const t = (v, d)=> { if (!v) return d; const n = Number(v); return Number.isFinite(n) ? n : (Date.parse(v) || d); };
+    const q = u.searchParams;
+    store.query({
+      from: t(q.get('from'), Date.now() - 24*60*60*1000),
+      to: t(q.get('to'), Date.now()),
+      kinds: String(q.get('kind') || '').split(',').map(s=>s.trim()).filter(Boolean),
+      symbol: q.get('symbol') || null,
+      limit: Math.min(10000, qNum(q.get('limit'), 1000))
+    }).then(rows=>{ res.writeHead(200, jsonHeaders); res.end(JSON.stringify(rows)); })
+      .catch(e=>{ res.writeHead(500, jsonHeaders); res.end(JSON.stringify({ error: String(e?.message||e) })); });
+    return;
+  }
+  if (path === '/candles'){
+    // ?symbol=BTC_USDT&tf=1m|3m|5m|15m&limit=100 → oldest → newest, last bar still forming
+    const sym = String(u.searchParams.get('symbol') || '').toUpperCase();
+    const tf = u.searchParams.get('tf') || '1m';
+    if (!sym || !tfMs(tf)){ res.writeHead(400, jsonHeaders); res.end(JSON.stringify({ error:'symbol and tf (e.g. 1m, 5m, 15m) required' })); return; }
+    const limit = Math.max(1, Math.min(1000, qNum(u.searchParams.get('limit'), 100)));
+    res.writeHead(200, jsonHeaders);
+    res.end(JSON.stringify({ symbol: sym, tf, bars: candles.bars(sym, tf, limit) }));
+    return;
+  }
+  if (path === '/paper/positions'){
+    res.writeHead(200, jsonHeaders);
+    res.end(JSON.stringify({ ...paper.summary(), positions: paper.openPositions() }));
+    return;
+  }
+  if (path === '/windows'){
+    res.writeHead(200, jsonHeaders);
+    res.end(JSON.stringify({ schema: MOVE_SCHEMA, windows: MOVE_WINDOWS.map(w => ({ key: w.label, field: w.field, ms: w.ms })) }));
+    return;
+  }
+  if (path === '/feed'){
+    res.writeHead(200, jsonHeaders);
+    res.end(JSON.stringify(feed.stats()));
+    return;
+  }
+  if (path === '/paper/trades'){
     res.writeHead(200, jsonHeaders);
-    res.end(JSON.stringify(recent));
+    res.end(JSON.stringify(paper.trades));
     return;
   }
   if (path === '/sse-viewer'){
     res.writeHead(200, htmlHeaders);
-    res.end(`<!doctype html><meta charset="utf-8"/><title>SSE Viewer</title>
-      <pre id="o" style="white-space:pre-wrap;font:12px ui-monospace,Menlo,Consolas"></pre>
-      <script>
-      const o=document.getElementById('o'); const es=new EventSource('/stream');
-      es.onmessage=(e)=>{o.textContent=e.data+'\\n\\n'+o.textContent.slice(0,20000);}
-      </script>`);
+    res.end(SSE_VIEWER_HTML);
     return;
   }
   if (path === '/stream'){
-    res.writeHead(200, sseHeaders);
-    res.write(':ok\n\n');
-    clients.add(res);
-    const hb = setInterval(()=>{ try{ res.write(':hb\n\n'); }catch{} }, 15000);
-    req.on('close', ()=>{ clearInterval(hb); clients.delete(res); });
+    // named events (alert, early, update, trade, status) with ids; Last-Event-ID replays the backlog.
+    // ?types=&symbols=&sources=&direction=&min_z=&min_move= filter per connection (src/streamFilter.js)
+    let filter;
+    try { filter = StreamFilter.fromQuery(u.searchParams, { moveField: MOVE_WINDOWS[0].field }); }
+    catch(e){ res.writeHead(400, jsonHeaders); res.end(JSON.stringify({ error: e.message })); return; }
+    sse.attach(req, res, u, filter);
     return;
   }
   res.writeHead(404, { 'content-type':'text/plain', 'Access-Control-Allow-Origin':'*' });
   res.end('Not found');
 });
-server.listen(PORT, ()=> console.log(`[http] listening on :${PORT} (CORS + *)`));
+if (WS_ON){
+  // /ws on the same server: subscribe/unsubscribe, mute, snapshots of current moves, ping (src/wsApi.js)
+  wsHub = new WsHub({
+    server, pingSec: WS_PING_SEC, moveField: MOVE_WINDOWS[0].field,
+    hello: ()=> ({ schema: MOVE_SCHEMA, windows: MOVE_WINDOWS.map(w => w.label) }),
+    snapshot: ({ symbols, muted, limit })=> movers.rank(lastTickTs || Date.now())
+      .filter(r => (!symbols || symbols.has(r.symbol)) && !muted.has(r.symbol)).slice(0, limit)
+      .map(r => ({ symbol: r.symbol, price: r.price, move_schema: MOVE_SCHEMA, ...moveFields(r.moves) }))
+  });
+}
+server.listen(PORT, ()=> console.log(`[http] listening on :${PORT} (CORS + *)${wsHub ? ' • /ws' : ''}`));
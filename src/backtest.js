@@ -0,0 +1,283 @@
+// Backtest: replays recorded ticker frames (src/recorder.js format) through the
+// live detector registry (src/detectors.js), simulates entries with the
+// TrailingManager rules on a PaperAccount, and reports alert/trade metrics.
+//
+// CLI: node src/backtest.js <file|dir> [KEY=value ...] [--json]
+//   KEY is any of the env names below (WINDOW_SEC=8 Z_MULTIPLIER=2.5 ...); unset keys fall back to process.env.
+import 'dotenv/config';
+import { pathToFileURL } from 'url';
+import { createDetectors } from './detectors.js';
+import { CandleStore } from './candles.js';
+import { PriceHistory, parseWindows } from './movers.js';
+import { TrailingManager } from './trailing.js';
+import { PaperAccount } from './paper.js';
+import { VolumeTracker } from './volume.js';
+import { readTicks, resolveTickFiles } from './recorder.js';
+import { bool, num, list } from './utils.js';
+
+// Backtest param → [env name, default, type]; same names/defaults as the live worker.
+export const PARAM_ENV = {
+  windowSec:        ['WINDOW_SEC', 5],
+  minAbsPct:        ['MIN_ABS_PCT', 0.003],
+  zMult:            ['Z_MULTIPLIER', 3.0],
+  cooldownSec:      ['COOLDOWN_SEC', 20],
+  minVolZ:          ['SPIKE_MIN_VOL_Z', null],
+  spikeOn:          ['SPIKE_ON', true, 'bool'],
+  earlyOn:          ['EARLY_SPIKE_ON', true, 'bool'],
+  earlyLookbackSec: ['EARLY_SPIKE_LOOKBACK_SEC', 180],
+  earlyZmin:        ['EARLY_SPIKE_ZMIN', 2.0],
+  earlyCooldownSec: ['EARLY_SPIKE_COOLDOWN_SEC', 20],
+  earlyMinAbsPct:   ['EARLY_SPIKE_MIN_ABS_PCT', 0.0015],
+  earlyMinVolZ:     ['EARLY_SPIKE_MIN_VOL_Z', null],
+  earlyExcludeCurrent: ['EARLY_SPIKE_EXCLUDE_CURRENT', false, 'bool'],
+  rangeOn:          ['RANGE_BREAKOUT_ON', false, 'bool'],
+  rangeMin:         ['RANGE_BREAKOUT_MINUTES', 30],
+  rangeMinPct:      ['RANGE_BREAKOUT_MIN_PCT', 0.002],
+  rangeCooldownSec: ['RANGE_BREAKOUT_COOLDOWN_SEC', 300],
+  vwapOn:           ['VWAP_DEV_ON', false, 'bool'],
+  vwapMin:          ['VWAP_DEV_MINUTES', 60],
+  vwapMinPct:       ['VWAP_DEV_MIN_PCT', 0.01],
+  vwapZmin:         ['VWAP_DEV_ZMIN', 2.5],
+  vwapCooldownSec:  ['VWAP_DEV_COOLDOWN_SEC', 600],
+  momentumOn:       ['MOMENTUM_ON', false, 'bool'],
+  momentumBars:     ['MOMENTUM_BARS', 4],
+  momentumMinPct:   ['MOMENTUM_MIN_PCT', 0.006],
+  momentumCooldownSec: ['MOMENTUM_COOLDOWN_SEC', 300],
+  volShortSec:      ['VOLUME_Z_WINDOW_SEC', 5],
+  volBaselineSec:   ['VOLUME_BASELINE_SEC', 300],
+  trailStartPct:    ['TRAIL_START_AFTER_PCT', 0.003],
+  trailDistancePct: ['TRAIL_DISTANCE_PCT', 0.004],
+  trailStepPct:     ['TRAIL_STEP_PCT', 0.001],
+  notional:         ['NOTIONAL_USDT', 20],
+  leverage:         ['LEVERAGE', 20],
+  maxPositions:     ['AUTOTRADE_MAX_POSITIONS', 3],
+  slippagePct:      ['PAPER_SLIPPAGE_PCT', 0.0005],
+  takerFee:         ['PAPER_DEFAULT_TAKER_FEE', 0.0002],
+  maxHoldSec:       ['BT_MAX_HOLD_SEC', 0],          // 0 = exit on trailing stop / end of data only
+  symbols:          ['UNIVERSE_OVERRIDE', [], 'list']
+};
+
+export function paramsFromEnv(env = process.env) {
+  const p = {};
+  for (const [k, [name, d, type]] of Object.entries(PARAM_ENV)) {
+    const v = env[name];
+    p[k] = type === 'list' ? list(v)
+         : v == null || v === '' ? d // unset keeps the default (null = off for the optional ones)
+         : type === 'bool' ? bool(v, d) : num(v, d);
+  }
+  return p;
+}
+
+const HORIZONS = [['1m', 60e3], ['5m', 5 * 60e3], ['15m', 15 * 60e3]];
+
+// A recording held in memory for repeated runs (src/sweep.js): only what runBacktest reads
+// (frame ts; per row symbol, lastPrice, volume24) in typed arrays, ~20 bytes a row instead of
+// a parsed JSON object. Iterates as { ts, msg } frames, rebuilt one at a time.
+export class TickBlock {
+  constructor() {
+    this.symbols = [];
+    this.index = new Map();            // symbol -> index into symbols
+    this.rows = 0;
+    this.frames = 0;
+    this.sym = new Uint32Array(1 << 16);
+    this.price = new Float64Array(1 << 16);
+    this.vol24 = new Float64Array(1 << 16);
+    this.frameTs = new Float64Array(1 << 10);
+    this.frameEnd = new Uint32Array(1 << 10); // row offset after each frame
+  }
+  static async fromTicks(files) {
+    const block = new TickBlock();
+    for await (const { ts, raw } of readTicks(files)) {
+      let msg; try { msg = JSON.parse(raw); } catch { continue; }
+      if (msg?.channel === 'push.tickers' && Array.isArray(msg.data)) block.add(Number(msg.ts || ts), msg.data);
+    }
+    return block.trim();
+  }
+  // drops the growth slack once loading is done
+  trim() {
+    this.sym = this.sym.slice(0, this.rows);
+    this.price = this.price.slice(0, this.rows);
+    this.vol24 = this.vol24.slice(0, this.rows);
+    this.frameTs = this.frameTs.slice(0, this.frames);
+    this.frameEnd = this.frameEnd.slice(0, this.frames);
+    return this;
+  }
+  add(ts, data) {
+    if (this.frames === this.frameTs.length) {
+      this.frameTs = grow(this.frameTs);
+      this.frameEnd = grow(this.frameEnd);
+    }
+    for (const x of data) {
+      const price = Number(x.lastPrice);
+      if (!x.symbol || !(price > 0)) continue; // runBacktest skips these anyway
+      if (this.rows === this.sym.length) {
+        this.sym = grow(this.sym);
+        this.price = grow(this.price);
+        this.vol24 = grow(this.vol24);
+      }
+      let i = this.index.get(x.symbol);
+      if (i == null) { i = this.symbols.length; this.symbols.push(x.symbol); this.index.set(x.symbol, i); }
+      this.sym[this.rows] = i;
+      this.price[this.rows] = price;
+      this.vol24[this.rows] = Number(x.volume24);
+      this.rows++;
+    }
+    this.frameTs[this.frames] = ts;
+    this.frameEnd[this.frames++] = this.rows;
+  }
+  *[Symbol.iterator]() {
+    let r = 0;
+    for (let f = 0; f < this.frames; f++) {
+      const ts = this.frameTs[f], data = [];
+      for (const end = this.frameEnd[f]; r < end; r++) data.push({ symbol: this.symbols[this.sym[r]], lastPrice: this.price[r], volume24: this.vol24[r] });
+      yield { ts, msg: { channel: 'push.tickers', ts, data } };
+    }
+  }
+}
+function grow(a) {
+  const b = new a.constructor(a.length * 2);
+  b.set(a);
+  return b;
+}
+
+// Frames: async iterable of { ts, raw } (readTicks) or already-parsed { ts, msg }.
+export async function runBacktest(frames, p) {
+  const detectors = createDetectors(p);
+  const candles = new CandleStore({ history: Math.max(p.rangeMin, p.vwapMin, p.momentumBars) + 2 });
+  const volume = new VolumeTracker({ shortSec: p.volShortSec, baselineSec: p.volBaselineSec });
+  const trailing = new TrailingManager({ startPct: p.trailStartPct, distancePct: p.trailDistancePct, stepPct: p.trailStepPct });
+  const paper = new PaperAccount({ balance: 1e9, slippagePct: p.slippagePct, defaultTakerFee: p.takerFee, maxTrades: Infinity });
+  const only = p.symbols?.length ? new Set(p.symbols) : null;
+
+  const hist = new PriceHistory({ windows: parseWindows('1m'), hiLoSec: [p.earlyLookbackSec] });
+  const alerts = [];        // { sym, ts, price, dir, source, fwd:{}, mfe, mae, done }
+  const open = new Map();   // sym -> alerts still being followed
+  let frameCount = 0, firstTs = null, lastTs = null;
+  const lastPrice = new Map();
+
+  const follow = (a, ts, price) => {
+    const sgn = a.dir === 'UP' ? 1 : -1;
+    const r = sgn * (price - a.price) / a.price * 100;
+    if (r > a.mfe) a.mfe = r;
+    if (r < a.mae) a.mae = r;
+    for (const [k, ms] of HORIZONS) if (a.fwd[k] == null && ts - a.ts >= ms) a.fwd[k] = r;
+    return ts - a.ts >= HORIZONS[HORIZONS.length - 1][1];
+  };
+
+  for await (const f of frames) {
+    let msg = f.msg;
+    if (!msg) { try { msg = JSON.parse(f.raw); } catch { continue; } }
+    if (msg?.channel !== 'push.tickers' || !Array.isArray(msg.data)) continue;
+    const ts = Number(msg.ts || f.ts);
+    frameCount++;
+    if (firstTs == null) firstTs = ts;
+    lastTs = ts;
+
+    for (const x of msg.data) {
+      const sym = x.symbol;
+      if (!sym || (only && !only.has(sym))) continue;
+      const price = Number(x.lastPrice);
+      if (!(price > 0)) continue;
+      lastPrice.set(sym, price);
+      const volZ = volume.update(sym, ts, Number(x.volume24))?.z ?? null;
+      candles.update(sym, ts, price, Number(x.volume24));
+
+      const series = hist.push(sym, ts, price);
+
+      // forward returns / excursions of earlier alerts
+      const following = open.get(sym);
+      if (following) {
+        for (let i = following.length - 1; i >= 0; i--) if (follow(following[i], ts, price)) following.splice(i, 1);
+      }
+
+      // trailing exits
+      paper.mark(sym, price);
+      const upd = trailing.onPrice(sym, price);
+      const pos = paper.positions.get(sym);
+      if (upd?.hit) { trailing.close(sym); paper.close(sym, price, 'trailing_stop', ts); }
+      else if (pos && p.maxHoldSec > 0 && ts - pos.openedAt >= p.maxHoldSec * 1000) { trailing.close(sym); paper.close(sym, price, 'max_hold', ts); }
+
+      // detection — the same registry and order as the live worker
+      for (const sig of detectors.run({ symbol: sym, ts, price, series, candles, volZ })) {
+        const a = { sym, ts, price, source: sig.name, dir: sig.direction, z: sig.z, ap: sig.absPct, fwd: {}, mfe: 0, mae: 0 };
+        alerts.push(a);
+        if (!open.has(sym)) open.set(sym, []);
+        open.get(sym).push(a);
+
+        if (!paper.positions.has(sym) && paper.positions.size < p.maxPositions) {
+          const side = sig.direction === 'UP' ? 'long' : 'short';
+          const fill = paper.open(sym, side, price, p.notional, p.leverage, ts);
+          if (fill.ok) trailing.onEntry(sym, side, fill.price);
+        }
+      }
+    }
+  }
+
+  for (const sym of Array.from(paper.positions.keys())) paper.close(sym, lastPrice.get(sym), 'end_of_data', lastTs);
+  return summarize({ alerts, trades: paper.trades, frames: frameCount, symbols: hist.series.size, firstTs, lastTs, sources: detectors.list.map(d => d.name) });
+}
+
+const avg = (xs) => xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null;
+const r4 = (x) => x == null ? null : Number(x.toFixed(4));
+
+function summarize({ alerts, trades, frames, symbols, firstTs, lastTs, sources }) {
+  const fwd = {}, hit = {}, hitN = {};
+  for (const [k] of HORIZONS) {
+    const xs = alerts.map(a => a.fwd[k]).filter(x => x != null);
+    fwd[k] = r4(avg(xs));
+    hitN[k] = xs.length;
+    hit[k] = xs.length ? r4(xs.filter(x => x > 0).length / xs.length) : null;
+  }
+  const pnl = trades.reduce((s, t) => s + t.pnl, 0);
+  const fees = trades.reduce((s, t) => s + t.fees, 0);
+  const wins = trades.filter(t => t.pnl > 0).length;
+  const rets = trades.map(t => t.pnl_pct);
+  const mean = avg(rets), sd = rets.length > 1 ? Math.sqrt(rets.reduce((s, x) => s + (x - mean) ** 2, 0) / (rets.length - 1)) : null;
+  return {
+    frames, symbols,
+    span_sec: firstTs != null ? Math.round((lastTs - firstTs) / 1000) : 0,
+    alerts: {                              // total + per detector (source)
+      total: alerts.length,
+      ...Object.fromEntries(sources.map(s => [s, alerts.filter(a => a.source === s).length]))
+    },
+    hit_rate: hit,                         // share of alerts with a positive directional return at each horizon
+    hit_samples: hitN,                     // alerts old enough to have that horizon
+    fwd_return_avg_pct: fwd,               // directional: positive = moved the alert's way
+    mfe_avg_pct: r4(avg(alerts.map(a => a.mfe))),
+    mae_avg_pct: r4(avg(alerts.map(a => a.mae))),
+    trades: {
+      count: trades.length,
+      wins,
+      win_rate: trades.length ? r4(wins / trades.length) : null,
+      pnl_usdt: r4(pnl),
+      fees_usdt: r4(fees),
+      avg_pnl_usdt: r4(avg(trades.map(t => t.pnl))),
+      sharpe: sd ? r4(mean / sd) : null     // per-trade, unannualised
+    }
+  };
+}
+
+function printReport(files, p, m) {
+  const pct = (x) => x == null ? '—' : `${(x * 100).toFixed(1)}%`;
+  const f = (x, d = 3) => x == null ? '—' : Number(x).toFixed(d);
+  console.log(`[backtest] ${files.length} file(s) • frames=${m.frames} symbols=${m.symbols} span=${(m.span_sec / 3600).toFixed(2)}h`);
+  console.log(`[backtest] win=${p.windowSec}s z=${p.zMult} minAbs=${p.minAbsPct} cd=${p.cooldownSec}s • early=${p.earlyOn ? 'on' : 'off'} lb=${p.earlyLookbackSec}s zmin=${p.earlyZmin} • trail start=${p.trailStartPct} dist=${p.trailDistancePct}`);
+  const by = Object.entries(m.alerts).filter(([k, n]) => k !== 'total' && n).map(([k, n]) => `${k} ${n}`);
+  console.log(`alerts      ${m.alerts.total}${by.length ? ` (${by.join(', ')})` : ''}`);
+  console.log(`hit rate    1m ${pct(m.hit_rate['1m'])}  5m ${pct(m.hit_rate['5m'])}  15m ${pct(m.hit_rate['15m'])}`);
+  console.log(`fwd ret %   1m ${f(m.fwd_return_avg_pct['1m'])}  5m ${f(m.fwd_return_avg_pct['5m'])}  15m ${f(m.fwd_return_avg_pct['15m'])}`);
+  console.log(`MFE/MAE %   ${f(m.mfe_avg_pct)} / ${f(m.mae_avg_pct)}`);
+  console.log(`trades      ${m.trades.count} • win ${pct(m.trades.win_rate)} • PnL ${f(m.trades.pnl_usdt, 4)} USDT after ${f(m.trades.fees_usdt, 4)} fees`);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const args = process.argv.slice(2);
+  const target = args.find(a => !a.includes('=') && !a.startsWith('--'));
+  if (!target) { console.error('usage: node src/backtest.js <file|dir> [KEY=value ...] [--json]'); process.exit(2); }
+  const overrides = Object.fromEntries(args.filter(a => a.includes('=')).map(a => [a.slice(0, a.indexOf('=')), a.slice(a.indexOf('=') + 1)]));
+  const p = paramsFromEnv({ ...process.env, ...overrides });
+  const files = resolveTickFiles(target);
+  const m = await runBacktest(readTicks(files), p);
+  if (args.includes('--json')) console.log(JSON.stringify({ params: p, metrics: m }, null, 2));
+  else printReport(files, p, m);
+}
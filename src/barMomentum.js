@@ -0,0 +1,41 @@
+import { completedBars } from './rangeBreakout.js';
+
+// Consecutive-bar momentum: the last `bars` completed 1m bars all closed in the same direction,
+// each beyond the previous close, for a total move (first open → current price) of at least minPct.
+// Checked once per completed bar.
+export class BarMomentum {
+  constructor({ enabled = false, bars = 4, minPct = 0.006, cooldownSec = 300 } = {}) {
+    this.name = 'momentum';
+    this.enabled = enabled;
+    this.bars = bars;
+    this.minPct = minPct;
+    this.cooldownMs = cooldownSec * 1000;
+    this.checked = new Map();   // sym -> open time of the last bar checked
+    this.blockUntil = new Map();
+  }
+  update({ symbol, ts, price, candles }) {
+    const bars = completedBars(candles, symbol, ts, this.bars);
+    if (bars.length < this.bars) return null;
+    const lastT = bars[bars.length - 1].t;
+    if (this.checked.get(symbol) === lastT) return null;
+    this.checked.set(symbol, lastT);
+    const sgn = Math.sign(bars[0].c - bars[0].o);
+    if (!sgn) return null;
+    for (let i = 0; i < bars.length; i++) {
+      const b = bars[i];
+      if (Math.sign(b.c - b.o) !== sgn) return null;
+      if (i && Math.sign(b.c - bars[i - 1].c) !== sgn) return null;
+    }
+    const move = (price - bars[0].o) / bars[0].o;
+    if (!(sgn * move >= this.minPct)) return null;
+    if (ts < (this.blockUntil.get(symbol) || 0)) return null;
+    this.blockUntil.set(symbol, ts + this.cooldownMs);
+    return {
+      direction: sgn > 0 ? 'UP' : 'DOWN', absPct: Math.abs(move), z: null,
+      label: `${this.bars}×1m bars`, windowSec: this.bars * 60,
+      fields: { bars: this.bars }
+    };
+  }
+  reset() { this.checked.clear(); this.blockUntil.clear(); }
+  drop(symbol) { this.checked.delete(symbol); this.blockUntil.delete(symbol); }
+}
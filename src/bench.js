@@ -0,0 +1,105 @@
+// Benchmark: per-tick cost of the price store at full universe size.
+// Fills SYMBOLS series with WARM_MIN minutes of 1 Hz ticks, then times FRAMES more frames
+// (one tick per symbol each): push + every MOVE_WINDOWS move + the early detector's lookback
+// hi/lo, and one TopMovers.rank() per frame. Compares PriceHistory (src/series.js) with
+// the previous array store (push/shift, linear scans).
+//
+// CLI: node src/bench.js [SYMBOLS=800] [WARM_MIN=15] [FRAMES=120] [MOVE_WINDOWS=1m,5m,10m,15m] [LOOKBACK_SEC=180]
+import { pathToFileURL } from 'url';
+import { PriceHistory, TopMovers, parseWindows } from './movers.js';
+
+// the array store as it was: [{t,p}] per symbol, pruned with shift(), scanned per query
+class ArrayHistory {
+  constructor({ windows, maxAgeMs }) { this.windows = windows; this.maxAgeMs = maxAgeMs; this.series = new Map(); }
+  push(sym, ts, price) {
+    let arr = this.series.get(sym);
+    if (!arr) { arr = []; this.series.set(sym, arr); }
+    arr.push({ t: ts, p: price });
+    while (arr.length && arr[0].t < ts - this.maxAgeMs) arr.shift();
+    return arr;
+  }
+  pctFrom(arr, ts, ms) {
+    const from = ts - ms;
+    const base = arr.find(x => x.t >= from);
+    return base && base.p > 0 ? ((arr[arr.length - 1].p - base.p) / base.p) * 100 : null;
+  }
+  moves(sym, ts) {
+    const arr = this.series.get(sym) || [];
+    const out = {};
+    for (const w of this.windows) out[w.label] = this.pctFrom(arr, ts, w.ms);
+    return out;
+  }
+  hiLo(arr, ts, ms) {
+    let hi = -Infinity, lo = Infinity;
+    for (let i = arr.length - 2; i >= 0 && arr[i].t >= ts - ms; i--) { if (arr[i].p > hi) hi = arr[i].p; if (arr[i].p < lo) lo = arr[i].p; }
+    return { hi, lo };
+  }
+  rank(ts) {
+    const rows = [];
+    for (const sym of this.series.keys()) rows.push({ symbol: sym, moves: this.moves(sym, ts) });
+    const w0 = this.windows[0].label;
+    return rows.sort((a, b) => Math.abs(b.moves[w0] ?? 0) - Math.abs(a.moves[w0] ?? 0));
+  }
+}
+
+function walk(n) {
+  const px = new Float64Array(n).fill(100);
+  return () => { for (let i = 0; i < n; i++) px[i] *= 1 + (Math.random() - 0.5) * 0.002; return px; };
+}
+
+function run(name, store, { symbols, warmSec, frames, lookbackMs, tick, hiLo, rank }) {
+  const syms = Array.from({ length: symbols }, (_, i) => `S${i}_USDT`);
+  const step = walk(symbols);
+  const heap0 = process.memoryUsage().heapUsed;
+  let ts = 1e12;
+  for (let s = 0; s < warmSec; s++, ts += 1000) {
+    const px = step();
+    for (let i = 0; i < symbols; i++) store.push(syms[i], ts, px[i]);
+  }
+  let tickNs = 0n, rankNs = 0n, sink = 0;
+  for (let f = 0; f < frames; f++, ts += 1000) {
+    const px = step();
+    const t0 = process.hrtime.bigint();
+    for (let i = 0; i < symbols; i++) {
+      const s = store.push(syms[i], ts, px[i]);
+      const mv = store.moves(syms[i], ts);
+      const r = hiLo(store, s, ts, lookbackMs);
+      sink += (mv[tick] ?? 0) + (r?.hi ?? 0);
+    }
+    const t1 = process.hrtime.bigint();
+    sink += rank(store, ts).length;
+    rankNs += process.hrtime.bigint() - t1;
+    tickNs += t1 - t0;
+  }
+  const perTickUs = Number(tickNs) / 1e3 / (frames * symbols);
+  const perFrameMs = Number(tickNs) / 1e6 / frames;
+  const rankMs = Number(rankNs) / 1e6 / frames;
+  const heapMb = (process.memoryUsage().heapUsed - heap0) / 1e6; // rough: includes garbage not yet collected
+  console.log(`${name.padEnd(12)} ${perTickUs.toFixed(2).padStart(8)} µs/tick ${perFrameMs.toFixed(2).padStart(9)} ms/frame ${rankMs.toFixed(2).padStart(9)} ms/rank   heap +${heapMb.toFixed(0)} MB`);
+  return sink;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const kv = Object.fromEntries(process.argv.slice(2).filter(a => a.includes('=')).map(a => a.split('=')));
+  const symbols = Number(kv.SYMBOLS ?? 800);
+  const warmSec = Number(kv.WARM_MIN ?? 15) * 60;
+  const frames = Number(kv.FRAMES ?? 120);
+  const lookbackSec = Number(kv.LOOKBACK_SEC ?? 180);
+  const windows = parseWindows(kv.MOVE_WINDOWS);
+  const opts = { symbols, warmSec, frames, lookbackMs: lookbackSec * 1000, tick: windows[0].label };
+  console.log(`[bench] ${symbols} symbols • ${warmSec / 60}m warm-up • ${frames} frames • windows ${windows.map(w => w.label).join(',')} • hi/lo ${lookbackSec}s`);
+
+  const arrays = new ArrayHistory({ windows, maxAgeMs: Math.max(...windows.map(w => w.ms), lookbackSec * 1000) + 5000 });
+  run('array store', arrays, {
+    ...opts,
+    hiLo: (st, arr, ts, ms) => st.hiLo(arr, ts, ms),
+    rank: (st, ts) => st.rank(ts)
+  });
+  const history = new PriceHistory({ windows, hiLoSec: [lookbackSec] });
+  const movers = new TopMovers({ history });
+  run('ring buffer', history, {
+    ...opts,
+    hiLo: (st, s, ts, ms) => s.hiLo(ms),
+    rank: (st, ts) => movers.rank(ts)
+  });
+}
@@ -0,0 +1,64 @@
+// Per-symbol 1m OHLCV bars built from the ticker stream.
+// Volume per bar is the sum of positive volume24 increments (the rolling 24h counter
+// can drop as old volume rolls off; those ticks count as 0). Higher timeframes are
+// aggregated from the 1m bars on demand, so history depth is `history` minutes.
+const MIN = 60e3;
+
+export function tfMs(tf) {
+  const m = String(tf || '').match(/^(\d+)(m|h)$/);
+  if (!m || Number(m[1]) <= 0) return null;
+  return Number(m[1]) * (m[2] === 'h' ? 60 * MIN : MIN);
+}
+
+export class CandleStore {
+  constructor({ history = 120 } = {}) {
+    this.history = history;
+    this.series = new Map(); // sym -> { bars: [{t,o,h,l,c,v}], vol24 }
+  }
+  // Consumers needing deeper history (e.g. 15m MAs) raise the 1m bar count.
+  require(bars1m) { if (bars1m > this.history) this.history = bars1m; }
+  update(symbol, ts, price, volume24) {
+    let s = this.series.get(symbol);
+    if (!s) { s = { bars: [], vol24: null }; this.series.set(symbol, s); }
+    let dv = 0;
+    if (Number.isFinite(volume24)) {
+      if (s.vol24 != null && volume24 > s.vol24) dv = volume24 - s.vol24;
+      s.vol24 = volume24;
+    }
+    const t = Math.floor(ts / MIN) * MIN;
+    const last = s.bars[s.bars.length - 1];
+    if (last && last.t === t) {
+      if (price > last.h) last.h = price;
+      if (price < last.l) last.l = price;
+      last.c = price;
+      last.v += dv;
+    } else if (!last || t > last.t) {
+      s.bars.push({ t, o: price, h: price, l: price, c: price, v: dv });
+      if (s.bars.length > this.history) s.bars.shift();
+    }
+  }
+  // Oldest → newest, the last bar still forming. tf: '1m', '3m', '5m', '15m', '1h', ...
+  bars(symbol, tf = '1m', limit = Infinity) {
+    const s = this.series.get(symbol);
+    const ms = tfMs(tf);
+    if (!s || !ms) return [];
+    if (ms === MIN) return s.bars.slice(-limit);
+    const out = [];
+    for (const b of s.bars) {
+      const t = Math.floor(b.t / ms) * ms;
+      const cur = out[out.length - 1];
+      if (cur && cur.t === t) {
+        if (b.h > cur.h) cur.h = b.h;
+        if (b.l < cur.l) cur.l = b.l;
+        cur.c = b.c;
+        cur.v += b.v;
+      } else {
+        out.push({ t, o: b.o, h: b.h, l: b.l, c: b.c, v: b.v });
+      }
+    }
+    return out.slice(-limit);
+  }
+  symbols() { return Array.from(this.series.keys()); }
+  clear() { this.series.clear(); }
+  drop(symbol) { this.series.delete(symbol); }
+}
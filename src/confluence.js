@@ -0,0 +1,112 @@
+// Multi-timeframe confluence (CONFLUENCE_* env).
+// Reads 1m/3m/15m bars from a CandleStore; on each timeframe a fast/slow MA
+// (EMA or SMA) pair gives a slope over K bars and an ordering. An alert is "aligned"
+// when every timeframe slopes its way (outside the deadzone), the MAs are ordered its
+// way (optional), the 1m volume z-score is high enough and price isn't too far from the 1m slow MA.
+const TF_MIN = { '1m': 1, '3m': 3, '15m': 15 };
+
+function ma(values, n, useEma) {
+  if (values.length < n) return null;
+  if (!useEma) {
+    const out = [];
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += values[i];
+      if (i >= n) sum -= values[i - n];
+      out.push(i >= n - 1 ? sum / n : null);
+    }
+    return out;
+  }
+  const a = 2 / (n + 1);
+  const out = [values[0]];
+  for (let i = 1; i < values.length; i++) out.push(a * values[i] + (1 - a) * out[i - 1]);
+  return out.map((v, i) => (i >= n - 1 ? v : null));
+}
+
+export class Confluence {
+  constructor({
+    candles,
+    useEma = true, ordering = true,
+    slopeK = { '1m': 3, '3m': 2, '15m': 1 },
+    deadzone = { '1m': 0.00025, '3m': 0.0002, '15m': 0.00015 },
+    volZMin = 1.2, distMaxPct = 0.015, cooldownSec = 180,
+    fast = 5, slow = 10, bonus = 10
+  } = {}) {
+    this.useEma = useEma;
+    this.ordering = ordering;
+    this.slopeK = slopeK;
+    this.deadzone = deadzone;
+    this.volZMin = volZMin;
+    this.distMaxPct = distMaxPct;
+    this.cooldownMs = cooldownSec * 1000;
+    this.fast = fast;
+    this.slow = slow;
+    this.bonus = bonus;
+    this.candles = candles;
+    this.maxBars = slow + Math.max(...Object.values(slopeK)) + 2;
+    this.lastAligned = new Map(); // `${sym}:${dir}` -> ts
+    // enough 1m history for the slowest timeframe (+1 for a partial first bucket), and 21 bars for volume z
+    candles.require(Math.max(21, ...Object.entries(TF_MIN).map(([tf, m]) => (slow + slopeK[tf] + 1) * m)));
+  }
+  // 1m volume z: current bar's per-minute rate vs. the previous closed bars
+  volumeZ(arr, ts) {
+    if (arr.length < 6) return null;
+    const cur = arr[arr.length - 1];
+    const prev = arr.slice(-21, -1).map(b => b.v);
+    const mean = prev.reduce((a, b) => a + b, 0) / prev.length;
+    const sd = Math.sqrt(prev.reduce((a, b) => a + (b - mean) ** 2, 0) / prev.length);
+    if (!(sd > 0)) return null;
+    const elapsed = Math.max(10e3, ts - cur.t);
+    const rate = cur.v * (60e3 / Math.min(60e3, elapsed));
+    return (rate - mean) / sd;
+  }
+  evaluate(symbol, direction, price, ts) {
+    const want = direction === 'UP' ? 1 : -1;
+    const details = {};
+    let aligned = true;
+    for (const tf of Object.keys(TF_MIN)) {
+      const closes = this.candles.bars(symbol, tf, this.maxBars).map(b => b.c);
+      const k = this.slopeK[tf];
+      const f = ma(closes, this.fast, this.useEma);
+      const sl = ma(closes, this.slow, this.useEma);
+      const n = closes.length;
+      if (!f || !sl || n - 1 - k < this.slow - 1) {
+        details[tf] = { state: 'warming', bars: n };
+        aligned = false;
+        continue;
+      }
+      const base = f[n - 1 - k];
+      const slope = (f[n - 1] - base) / base / k;
+      const dz = this.deadzone[tf];
+      const dirSlope = Math.abs(slope) < dz ? 0 : Math.sign(slope);
+      const order = Math.sign(f[n - 1] - sl[n - 1]);
+      const ok = dirSlope === want && (!this.ordering || order === want);
+      details[tf] = {
+        state: dirSlope > 0 ? 'up' : dirSlope < 0 ? 'down' : 'flat',
+        slope: Number(slope.toFixed(6)),
+        ma_fast: Number(f[n - 1].toPrecision(8)),
+        ma_slow: Number(sl[n - 1].toPrecision(8)),
+        ordered: order === want,
+        ok
+      };
+      if (!ok) aligned = false;
+    }
+
+    const volZ = this.volumeZ(this.candles.bars(symbol, '1m', 21), ts);
+    details.vol_z = volZ == null ? null : Number(volZ.toFixed(2));
+    if (volZ != null && volZ < this.volZMin) aligned = false; // no volume data → not held against the alert
+
+    const ref = details['1m']?.ma_slow;
+    if (ref) {
+      const dist = Math.abs(price - ref) / ref;
+      details.dist_pct = Number(dist.toFixed(5));
+      if (dist > this.distMaxPct) aligned = false;
+    }
+
+    const key = `${symbol}:${direction}`;
+    const repeat = aligned && ts - (this.lastAligned.get(key) || -Infinity) < this.cooldownMs;
+    if (aligned && !repeat) this.lastAligned.set(key, ts);
+    return { aligned, repeat, bonus: aligned && !repeat ? this.bonus : 0, details };
+  }
+  drop(symbol) { this.lastAligned.delete(`${symbol}:UP`); this.lastAligned.delete(`${symbol}:DOWN`); }
+}
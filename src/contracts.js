@@ -0,0 +1,62 @@
+// Contract-spec cache built from /api/v1/contract/detail rows.
+// Order `vol` on MEXC futures is a number of contracts, each worth `contractSize` base coins.
+function decimalsOf(step) {
+  const s = String(step);
+  if (s.includes('e-')) return Number(s.split('e-')[1]);
+  const i = s.indexOf('.');
+  return i < 0 ? 0 : s.length - i - 1;
+}
+function toNum(x, d = NaN) { const n = Number(x); return Number.isFinite(n) ? n : d; }
+
+export class ContractSpecs {
+  constructor() {
+    this.specs = new Map(); // symbol -> spec
+    this.updatedAt = 0;
+  }
+  update(rows, ts = Date.now()) {
+    let n = 0;
+    for (const r of rows || []) {
+      if (!r?.symbol) continue;
+      const volUnit = toNum(r.volUnit, 1) > 0 ? toNum(r.volUnit, 1) : 1;
+      const priceUnit = toNum(r.priceUnit, 0);
+      this.specs.set(r.symbol, {
+        symbol: r.symbol,
+        contractSize: toNum(r.contractSize, 0),
+        volUnit,
+        minVol: toNum(r.minVol, volUnit),
+        maxVol: toNum(r.maxVol, Infinity),
+        priceUnit,
+        volScale: Number.isFinite(Number(r.volScale)) ? Number(r.volScale) : decimalsOf(volUnit),
+        priceScale: Number.isFinite(Number(r.priceScale)) ? Number(r.priceScale) : (priceUnit > 0 ? decimalsOf(priceUnit) : 8),
+        maxLeverage: toNum(r.maxLeverage, NaN),
+        taker: toNum(r.takerFeeRate),
+        maker: toNum(r.makerFeeRate)
+      });
+      n++;
+    }
+    this.updatedAt = ts;
+    return n;
+  }
+  get(symbol) { return this.specs.get(symbol); }
+  has(symbol) { return this.specs.has(symbol); }
+  get size() { return this.specs.size; }
+
+  // USDT notional → valid contract count (rounded down to volUnit, clamped to maxVol).
+  toContracts(symbol, notional, price) {
+    const s = this.specs.get(symbol);
+    if (!s) return { ok: false, reason: `no contract spec for ${symbol}` };
+    if (!(s.contractSize > 0)) return { ok: false, reason: `${symbol} has no contractSize` };
+    if (!(price > 0) || !(notional > 0)) return { ok: false, reason: 'bad price/notional' };
+    const perContract = price * s.contractSize; // USDT per contract
+    const raw = notional / perContract;
+    let vol = Math.floor(raw / s.volUnit + 1e-9) * s.volUnit;
+    let clamped = false;
+    if (vol > s.maxVol) { vol = Math.floor(s.maxVol / s.volUnit + 1e-9) * s.volUnit; clamped = true; }
+    vol = Number(vol.toFixed(s.volScale));
+    if (vol < s.minVol || vol <= 0) {
+      const minNotional = s.minVol * perContract;
+      return { ok: false, reason: `notional ${notional} USDT below minimum tradable size for ${symbol} (minVol ${s.minVol} ≈ ${minNotional.toFixed(4)} USDT)` };
+    }
+    return { ok: true, vol, notional: vol * perContract, qty: vol * s.contractSize, clamped };
+  }
+}
@@ -0,0 +1,152 @@
+// On-demand order books for symbols that just alerted (DEPTH_* env).
+// Symbols are subscribed with sub.depth on the live edge socket, seeded from the REST
+// depth snapshot and kept in sync with the incremental pushes (version must be +1,
+// a gap triggers a resync). A symbol is unsubscribed ttlSec after its last watch().
+// Levels are [price, vol (contracts), orders]; vol 0 removes the level.
+export class DepthBook {
+  // fetchSnapshot(symbol) → Promise<{ asks, bids, version }>; specs: ContractSpecs (contract size)
+  constructor({ specs, fetchSnapshot, ttlSec = 300 } = {}) {
+    this.specs = specs;
+    this.fetchSnapshot = fetchSnapshot;
+    this.ttlMs = ttlSec * 1000;
+    this.ws = null;
+    this.books = new Map(); // sym -> { asks:Map, bids:Map, version, synced, pending:[], until, waiters:[] }
+  }
+  attach(ws) {
+    this.ws = ws;
+    for (const sym of this.books.keys()) { this.books.set(sym, this.empty(this.books.get(sym).until)); this.subscribe(sym); }
+  }
+  detach() {
+    this.ws = null;
+    for (const b of this.books.values()) { b.synced = false; b.pending = []; this.wake(b); }
+  }
+  empty(until) { return { asks: new Map(), bids: new Map(), version: 0, synced: false, pending: [], until, waiters: [], syncing: false }; }
+  send(method, symbol) {
+    try { this.ws?.send(JSON.stringify({ method, param: { symbol } })); } catch {}
+  }
+  subscribe(sym) {
+    this.send('sub.depth', sym);
+    this.resync(sym);
+  }
+  // Keeps `sym` subscribed for another ttlSec; no-op without a socket (e.g. replay).
+  watch(sym, ts = Date.now()) {
+    if (!this.ws) return false;
+    const b = this.books.get(sym);
+    if (b) { b.until = ts + this.ttlMs; return true; }
+    this.books.set(sym, this.empty(ts + this.ttlMs));
+    this.subscribe(sym);
+    return true;
+  }
+  // Drops books nobody watched for ttlSec.
+  expire(ts = Date.now()) {
+    for (const [sym, b] of this.books) {
+      if (ts < b.until) continue;
+      this.send('unsub.depth', sym);
+      this.books.delete(sym);
+      this.wake(b);
+    }
+  }
+  // Unsubscribes and forgets `sym` now (it left the universe).
+  drop(sym) {
+    const b = this.books.get(sym);
+    if (!b) return;
+    this.send('unsub.depth', sym);
+    this.books.delete(sym);
+    this.wake(b);
+  }
+  async resync(sym) {
+    const b = this.books.get(sym);
+    if (!b || b.syncing) return;
+    b.syncing = true;
+    b.synced = false;
+    try {
+      const snap = await this.fetchSnapshot(sym);
+      if (this.books.get(sym) !== b || !snap) return;
+      b.asks = levels(snap.asks);
+      b.bids = levels(snap.bids);
+      b.version = Number(snap.version) || 0;
+      b.synced = true;
+      const pending = b.pending;
+      b.pending = [];
+      for (const d of pending) if (b.synced) this.apply(sym, b, d);
+      if (b.synced) this.wake(b);
+    } catch (e) {
+      console.error('[depth] snapshot', sym, e?.message || e);
+    } finally {
+      b.syncing = false;
+      // snapshot failed or was older than the buffered pushes: try again shortly
+      if (!b.synced && this.ws && this.books.get(sym) === b) setTimeout(() => this.resync(sym), 1000);
+    }
+  }
+  apply(sym, b, d) {
+    const v = Number(d.version);
+    if (v <= b.version) return;
+    if (b.version && v !== b.version + 1) { b.synced = false; b.pending = [d]; this.resync(sym); return; }
+    for (const [p, vol] of d.asks || []) vol > 0 ? b.asks.set(Number(p), Number(vol)) : b.asks.delete(Number(p));
+    for (const [p, vol] of d.bids || []) vol > 0 ? b.bids.set(Number(p), Number(vol)) : b.bids.delete(Number(p));
+    b.version = v;
+  }
+  // push.depth frame from the edge socket; returns true when consumed.
+  onMessage(msg) {
+    if (msg?.channel !== 'push.depth') return false;
+    const b = this.books.get(msg.symbol);
+    if (!b || !msg.data) return true;
+    if (!b.synced) { if (b.pending.length < 500) b.pending.push(msg.data); return true; }
+    this.apply(msg.symbol, b, msg.data);
+    return true;
+  }
+  wake(b) { const w = b.waiters; b.waiters = []; for (const f of w) f(); }
+  // Resolves true once the book is synced, false after timeoutMs.
+  ready(sym, timeoutMs = 1500) {
+    const b = this.books.get(sym);
+    if (!b) return Promise.resolve(false);
+    if (b.synced) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const t = setTimeout(() => resolve(!!this.books.get(sym)?.synced), timeoutMs);
+      b.waiters.push(() => { clearTimeout(t); resolve(!!this.books.get(sym)?.synced); });
+    });
+  }
+  // Spread, top-of-book size (USDT) and the slippage of a market order for `notional` USDT
+  // on the taker side (long lifts asks, short hits bids), measured from mid. null when unknown.
+  estimate(sym, side, notional) {
+    const b = this.books.get(sym);
+    const cs = this.specs?.get(sym)?.contractSize;
+    if (!b?.synced || !(cs > 0)) return null;
+    const asks = Array.from(b.asks).sort((x, y) => x[0] - y[0]);
+    const bids = Array.from(b.bids).sort((x, y) => y[0] - x[0]);
+    if (!asks.length || !bids.length) return null;
+    const mid = (asks[0][0] + bids[0][0]) / 2;
+    let left = notional, cost = 0, qty = 0;
+    for (const [p, vol] of side === 'long' ? asks : bids) {
+      const take = Math.min(left, p * vol * cs);
+      cost += take;
+      qty += take / p;
+      left -= take;
+      if (left <= 1e-9) break;
+    }
+    const filled = left <= 1e-9;
+    const vwap = qty > 0 ? cost / qty : null;
+    return {
+      spread_pct: Number(((asks[0][0] - bids[0][0]) / mid * 100).toFixed(4)),
+      top_bid_usdt: Number((bids[0][0] * bids[0][1] * cs).toFixed(2)),
+      top_ask_usdt: Number((asks[0][0] * asks[0][1] * cs).toFixed(2)),
+      slippage_pct: vwap != null ? Number((Math.abs(vwap - mid) / mid * 100).toFixed(4)) : null,
+      fillable: filled // false: the book held less than `notional` on that side
+    };
+  }
+  // Reason string when a `notional` entry on `side` would slip more than maxSlippagePct
+  // (fraction) or can't fill; null when fine or the book is unknown.
+  reject(sym, side, notional, maxSlippagePct) {
+    const est = this.estimate(sym, side, notional);
+    if (!est || maxSlippagePct == null) return null;
+    if (!est.fillable) return `book too thin for ${notional} USDT`;
+    if (est.slippage_pct > maxSlippagePct * 100) return `est. slippage ${est.slippage_pct}% > ${(maxSlippagePct * 100).toFixed(3)}%`;
+    return null;
+  }
+}
+
+function levels(rows) {
+  const m = new Map();
+  for (const [p, vol] of rows || []) if (Number(vol) > 0) m.set(Number(p), Number(vol));
+  return m;
+}
@@ -0,0 +1,84 @@
+// Detector registry: every detector sees the same per-symbol tick state and returns a typed signal.
+//
+// A detector is { name, enabled, yieldTo?, update(ctx) → signal | null, reset(), drop?(symbol) }.
+//   ctx:    { symbol, ts, price, series: PriceSeries incl. this tick (src/series.js), candles: CandleStore, volZ }
+//   signal: { direction: 'UP'|'DOWN', absPct (fraction), z (or null), label?, windowSec?, fields? }
+// name becomes the alert's source. yieldTo lists detectors that, when they fired on this tick,
+// skip this one (the spike engine yields to the early detector, as it always has).
+import { SpikeEngine } from './spikeEngine.js';
+import { EarlySpikeDetector } from './earlySpike.js';
+import { RangeBreakout } from './rangeBreakout.js';
+import { VwapDeviation } from './vwapDeviation.js';
+import { BarMomentum } from './barMomentum.js';
+
+export class DetectorRegistry {
+  constructor(detectors = []) {
+    this.list = [];
+    for (const d of detectors) this.register(d);
+  }
+  register(det) {
+    if (this.get(det.name)) throw new Error(`detector ${det.name} already registered`);
+    this.list.push(det);
+    return this;
+  }
+  get(name) { return this.list.find(d => d.name === name) || null; }
+  enabled() { return this.list.filter(d => d.enabled).map(d => d.name); }
+  // Runs the enabled detectors in registration order on one tick. emit(name, signal) handles a
+  // signal and returns whether it counted (false = suppressed downstream, so it doesn't make
+  // yieldTo detectors step aside). Returns the signals that counted.
+  run(ctx, emit = () => true) {
+    const fired = [];
+    for (const d of this.list) {
+      if (!d.enabled || d.yieldTo?.some(n => fired.some(f => f.name === n))) continue;
+      const sig = d.update(ctx);
+      if (sig && emit(d.name, sig) !== false) fired.push({ name: d.name, ...sig });
+    }
+    return fired;
+  }
+  reset() { for (const d of this.list) d.reset(); }
+  // Forgets one symbol's state (it left the universe).
+  drop(symbol) { for (const d of this.list) d.drop?.(symbol); }
+}
+
+// SpikeEngine / EarlySpikeDetector keep their own call signatures (and cooldowns); these wrap them.
+export function spikeDetector(opts, { enabled = true } = {}) {
+  const engine = new SpikeEngine(opts);
+  return {
+    name: 'scanner', enabled, yieldTo: ['early'], engine,
+    update: ({ symbol, price, ts, volZ }) => {
+      const out = engine.update(symbol, price, ts, volZ);
+      return out?.isSpike ? { direction: out.direction, absPct: out.absPct, z: out.zScore } : null;
+    },
+    reset: () => engine.reset(),
+    drop: (symbol) => engine.drop(symbol)
+  };
+}
+export function earlyDetector(opts, { enabled = true } = {}) {
+  const engine = new EarlySpikeDetector(opts);
+  return {
+    name: 'early', enabled, engine,
+    update: ({ symbol, ts, series, volZ }) => {
+      const ev = engine.update(symbol, ts, series, volZ);
+      return ev ? { direction: ev.dir, absPct: ev.ap, z: ev.z, label: 'tick' } : null;
+    },
+    reset: () => engine.reset(),
+    drop: (symbol) => engine.drop(symbol)
+  };
+}
+
+// The default set, in evaluation order. p: backtest-style params (src/backtest.js PARAM_ENV).
+export function createDetectors(p) {
+  return new DetectorRegistry([
+    earlyDetector({
+      windowSec: p.windowSec, lookbackSec: p.earlyLookbackSec, zMin: p.earlyZmin,
+      cooldownSec: p.earlyCooldownSec, minAbsPct: p.earlyMinAbsPct, minVolZ: p.earlyMinVolZ,
+      excludeCurrent: p.earlyExcludeCurrent
+    }, { enabled: p.earlyOn }),
+    spikeDetector({
+      windowSec: p.windowSec, minAbsPct: p.minAbsPct, zMult: p.zMult, cooldownSec: p.cooldownSec, minVolZ: p.minVolZ
+    }, { enabled: p.spikeOn }),
+    new RangeBreakout({ enabled: p.rangeOn, minutes: p.rangeMin, minPct: p.rangeMinPct, cooldownSec: p.rangeCooldownSec }),
+    new VwapDeviation({ enabled: p.vwapOn, minutes: p.vwapMin, minPct: p.vwapMinPct, zMin: p.vwapZmin, cooldownSec: p.vwapCooldownSec }),
+    new BarMomentum({ enabled: p.momentumOn, bars: p.momentumBars, minPct: p.momentumMinPct, cooldownSec: p.momentumCooldownSec })
+  ]);
+}
@@ -0,0 +1,47 @@
+// Early spike: a tick that prints a new high/low over the lookback window
+// with a tick z-score (vs. a fast EWMA of |tick %|) above zMin.
+export class EarlySpikeDetector {
+  // minVolZ: optional volume z-score floor (unknown volume fails), see src/volume.js
+  // excludeCurrent: compare against the lookback hi/lo *before* this tick's second. Off by default: the
+  // original worker's hi/lo included the tick itself, so a tick could never break it and early never fired.
+  constructor({ windowSec = 5, lookbackSec = 180, zMin = 2.0, cooldownSec = 20, minAbsPct = 0.0015, minVolZ = null, excludeCurrent = false } = {}) {
+    this.windowSec = windowSec;
+    this.excludeCurrent = excludeCurrent;
+    this.minVolZ = minVolZ;
+    this.lookbackMs = lookbackSec * 1000;
+    this.zMin = zMin;
+    this.cooldownMs = cooldownSec * 1000;
+    this.minAbsPct = minAbsPct;
+    this.ewma = new Map();
+    this.blockUntil = new Map();
+  }
+  // series: the symbol's PriceSeries (src/series.js), already including the current tick; its
+  // hiLo over lookbackSec should be registered (hiLoSec) to stay O(1).
+  update(symbol, ts, series, volZ = null) {
+    const last = series.last(), prev = series.prev();
+    if (!last || !prev || !(prev.p > 0)) return null;
+    const tickPct = (last.p - prev.p) / prev.p;
+    const apTick = Math.abs(tickPct);
+
+    const a = 2 / (this.windowSec + 1);
+    const base = this.ewma.get(symbol) ?? apTick;
+    const ew = a * apTick + (1 - a) * base;
+    this.ewma.set(symbol, ew);
+    const z = ew > 0 ? apTick / ew : 999;
+
+    // hi/lo of the completed seconds of the lookback (+ the current tick unless excludeCurrent)
+    const range = series.hiLo(this.lookbackMs);
+    const hi = this.excludeCurrent ? range?.hi : Math.max(range?.hi ?? -Infinity, last.p);
+    const lo = this.excludeCurrent ? range?.lo : Math.min(range?.lo ?? Infinity, last.p);
+    const isNewHigh = range != null && last.p > hi;
+    const isNewLow = range != null && last.p < lo;
+
+    if (ts < (this.blockUntil.get(symbol) || 0)) return null;
+    if (!(ew > 0) || z < this.zMin || apTick < this.minAbsPct || !(isNewHigh || isNewLow)) return null;
+    if (this.minVolZ != null && !(volZ >= this.minVolZ)) return null;
+    this.blockUntil.set(symbol, ts + this.cooldownMs);
+    return { dir: isNewHigh ? 'UP' : 'DOWN', ap: apTick, z };
+  }
+  reset() { this.ewma.clear(); this.blockUntil.clear(); }
+  drop(symbol) { this.ewma.delete(symbol); this.blockUntil.delete(symbol); }
+}
@@ -18,7 +18,10 @@ async function httpPost(path, bodyObj, apiKey, apiSecret){
   return { status: res.status, json };
 }
 
-export function createExecutor({ apiKey, apiSecret, execute=true, leverage=20, marginMode='cross', notionalUSDT=20 }){
+// With execute=false and a PaperAccount passed as `paper`, entries fill on the paper account instead of being dropped.
+// `specs` is a ContractSpecs cache used to size orders in whole contracts.
+// With a DepthBook as `depth` and maxSlippagePct set, entries the book can't absorb are rejected.
+export function createExecutor({ apiKey, apiSecret, execute=true, leverage=20, marginMode='cross', notionalUSDT=20, paper=null, specs=null, depth=null, maxSlippagePct=null }){
   async function ensurePositionMode(mode='2'){ // 1:hedge, 2:one-way
     return httpPost('/api/v1/private/position/change_position_mode', { positionMode: Number(mode) }, apiKey, apiSecret);
   }
@@ -40,22 +43,96 @@ export function createExecutor({ apiKey, apiSecret, execute=true, leverage=20, m
     };
     return httpPost('/api/v1/private/order/submit', body, apiKey, apiSecret);
   }
+  async function submitClose(symbol, side, volContracts){
+    // side: 4 close long, 2 close short; reduce-only market order for the held volume
+    const body = {
+      symbol,
+      price: 0,
+      vol: volContracts,
+      leverage: leverage,
+      side: side === 'long' ? 4 : 2,
+      type: 5,
+      openType: (marginMode === 'isolated' ? 1 : 2)
+    };
+    return httpPost('/api/v1/private/order/submit', body, apiKey, apiSecret);
+  }
+  async function openPositions(symbol){
+    return httpGet('/api/v1/private/position/open_positions', symbol ? { symbol } : {}, apiKey, apiSecret);
+  }
+  async function openOrders(symbol){
+    return httpGet(`/api/v1/private/order/list/open_orders/${symbol || ''}`, { page_num: 1, page_size: 100 }, apiKey, apiSecret);
+  }
   async function closeAll(symbol){
     // cancel all open orders under contract (if supported)
     return httpPost('/api/v1/private/order/cancel_all', { symbol }, apiKey, apiSecret);
   }
   return {
     async ensureSymbolConfig(symbol, positionType){
+      if (!execute) return; // dry-run / paper: never touch the account's settings
       // one-way mode for simplicity
       await ensurePositionMode('2').catch(()=>{});
       await setLeverageNoPosition(symbol, positionType, leverage).catch(()=>{});
     },
     async entryByNotional(symbol, side, price, notional){
-      // Convert USDT notional to contracts: use price as hint; MEXC contracts are coin-margined USDT perps where vol is quantity.
-      const vol = Math.max(0.001, (notional / Math.max(1e-9, price))); // simplistic size
-      if (!execute) return { dryRun: true, symbol, side, vol };
+      // USDT notional → contracts via the contract spec (contractSize, volUnit, minVol/maxVol).
+      // (paper fills fall back to the raw notional when a symbol has no spec, e.g. offline replay)
+      const size = specs?.has(symbol) ? specs.toContracts(symbol, notional, price) : null;
+      if (size && !size.ok) return { success: false, message: size.reason, symbol, side };
+      if (!size && execute) return { success: false, message: `no contract spec for ${symbol}`, symbol, side };
+      const thin = depth?.reject(symbol, side, notional, maxSlippagePct);
+      if (thin) return { success: false, message: thin, symbol, side };
+      const vol = size ? size.vol : notional / Math.max(1e-9, price);
+      if (!execute){
+        if (!paper) return { dryRun: true, success: true, symbol, side, vol };
+        const fill = paper.open(symbol, side, price, size ? size.notional : notional, leverage);
+        if (!fill.ok) return { dryRun: true, paper: true, success: false, message: fill.reason, symbol, side };
+        return { dryRun: true, paper: true, success: true, symbol, side, vol, price: fill.price, fee: fill.fee };
+      }
       const r = await submitMarket(symbol, side, vol);
-      return r.json || r;
+      return { vol, status: r.status, ...(r.json || r) };
+    },
+    async closePosition(symbol, side, { vol=null, entry=null, price, reason='manual' }={}){
+      if (!execute){
+        if (!paper) return { dryRun: true, success: true, symbol, side, price, pnl: null, reason };
+        const tr = paper.close(symbol, price, reason);
+        if (!tr) return { dryRun: true, paper: true, success: false, message: 'no paper position', symbol, side };
+        return { dryRun: true, paper: true, success: true, symbol, side, vol: tr.qty, price: tr.exit, pnl: tr.pnl, reason };
+      }
+      // fall back to the exchange's held volume when the caller doesn't know it
+      if (!(vol > 0)){
+        const r = await openPositions(symbol);
+        const rows = Array.isArray(r.json?.data) ? r.json.data : [];
+        const pos = rows.find(x => x.symbol === symbol && x.positionType === (side === 'long' ? 1 : 2));
+        if (!pos) return { success: false, message: `no open ${side} position on exchange`, symbol, side };
+        vol = Number(pos.holdVol);
+        if (!(entry > 0)) entry = Number(pos.holdAvgPrice);
+      }
+      const r = await submitClose(symbol, side, vol);
+      const out = { vol, price, reason, ...(r.json || r) };
+      // estimated realized PnL at the trigger price, net of taker fees on both legs
+      const spec = specs?.get(symbol);
+      if (spec?.contractSize > 0 && entry > 0 && price > 0){
+        const qty = vol * spec.contractSize;
+        const fee = Number.isFinite(spec.taker) ? spec.taker : 0;
+        const gross = (side === 'long' ? (price - entry) : (entry - price)) * qty;
+        out.pnl = gross - (entry + price) * qty * fee;
+      }
+      return out;
+    },
+    // Exchange view for reconciliation: [{ symbol, side, vol, entry }] and raw open orders.
+    async getOpenPositions(){
+      const r = await openPositions();
+      if (r.json?.success === false || !Array.isArray(r.json?.data)) throw new Error(r.json?.message || `open_positions http ${r.status}`);
+      return r.json.data.map(x => ({
+        symbol: x.symbol, side: x.positionType === 1 ? 'long' : 'short',
+        vol: Number(x.holdVol), entry: Number(x.holdAvgPrice), positionId: x.positionId
+      })).filter(x => x.vol > 0);
+    },
+    async getOpenOrders(){
+      const r = await openOrders();
+      if (r.json?.success === false) throw new Error(r.json?.message || `open_orders http ${r.status}`);
+      const d = r.json?.data;
+      return Array.isArray(d) ? d : (Array.isArray(d?.resultList) ? d.resultList : []);
     },
     async cancelAll(symbol){
       return closeAll(symbol);
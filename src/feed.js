@@ -0,0 +1,113 @@
+// Feed supervision for the edge socket (FEED_* env).
+// FeedMonitor tracks one logical feed across reconnects: message / ticker rates, reconnect
+// count and outage gaps, and decides when a connection is stale (no push.tickers for staleSec,
+// or no pong for pongSec) so the caller can terminate it. Status changes (down → up) go to onStatus.
+// Backoff is exponential with full jitter between minMs and maxMs.
+export class Backoff {
+  constructor({ minMs = 1000, maxMs = 60000 } = {}) {
+    this.minMs = minMs;
+    this.maxMs = maxMs;
+    this.attempt = 0;
+  }
+  next() {
+    const cap = Math.min(this.maxMs, this.minMs * 2 ** this.attempt++);
+    return Math.round(this.minMs + Math.random() * Math.max(0, cap - this.minMs));
+  }
+  reset() { this.attempt = 0; }
+}
+
+export class FeedMonitor {
+  constructor({ staleSec = 30, pongSec = 45, maxGaps = 50, onStatus = null } = {}) {
+    this.staleMs = staleSec * 1000;
+    this.pongMs = pongSec * 1000;
+    this.maxGaps = maxGaps;
+    this.onStatus = onStatus;
+    this.state = 'connecting'; // connecting | up | down
+    this.connects = 0;
+    this.reconnects = 0;       // unplanned only
+    this.msgs = 0;
+    this.tickers = 0;
+    this.openedAt = null;
+    this.lastMsgAt = null;
+    this.lastTickerAt = null;
+    this.lastPongAt = null;
+    this.downSince = null;
+    this.downReason = null;
+    this.gaps = [];            // newest first: { from, to, ms, reason }
+    this.rate = { at: Date.now(), msgs: 0, tickers: 0, msg_per_sec: 0, tickers_per_sec: 0 };
+  }
+  opened(now = Date.now()) {
+    this.connects++;
+    this.openedAt = now;
+    this.lastPongAt = now;
+    this.lastTickerAt = null;
+  }
+  // Every parsed frame; returns true for push.tickers.
+  message(msg, now = Date.now()) {
+    this.msgs++;
+    this.lastMsgAt = now;
+    if (msg?.channel === 'pong') { this.lastPongAt = now; return false; }
+    if (msg?.channel !== 'push.tickers') return false;
+    this.tickers++;
+    this.lastTickerAt = now;
+    if (this.state !== 'up') this.up(now);
+    return true;
+  }
+  up(now) {
+    const prev = this.state;
+    this.state = 'up';
+    if (prev !== 'down') return;
+    const gap = { from: this.downSince, to: now, ms: now - this.downSince, reason: this.downReason };
+    this.gaps.unshift(gap);
+    if (this.gaps.length > this.maxGaps) this.gaps.pop();
+    this.downSince = null;
+    this.downReason = null;
+    this.onStatus?.({ status: 'up', gap_ms: gap.ms, reason: gap.reason, reconnects: this.reconnects });
+  }
+  // An unplanned loss of the feed (close, error, stale). Reported once per outage.
+  down(reason, now = Date.now()) {
+    this.reconnects++;
+    if (this.state === 'down') return;
+    // measure the gap from the last ticker we actually got
+    this.downSince = this.lastTickerAt ?? now;
+    this.downReason = reason;
+    this.state = 'down';
+    this.onStatus?.({ status: 'down', reason, since: new Date(this.downSince).toISOString(), reconnects: this.reconnects });
+  }
+  // Reason string when the open connection should be dropped, else null.
+  check(now = Date.now()) {
+    this.roll(now);
+    if (this.openedAt == null) return null;
+    const lastData = this.lastTickerAt ?? this.openedAt;
+    if (now - lastData > this.staleMs) return `no tickers for ${Math.round((now - lastData) / 1000)}s`;
+    if (now - this.lastPongAt > this.pongMs) return `no pong for ${Math.round((now - this.lastPongAt) / 1000)}s`;
+    return null;
+  }
+  closed() { this.openedAt = null; }
+  roll(now) {
+    const dt = (now - this.rate.at) / 1000;
+    if (dt < 10) return;
+    this.rate = {
+      at: now, msgs: this.msgs, tickers: this.tickers,
+      msg_per_sec: Number(((this.msgs - this.rate.msgs) / dt).toFixed(2)),
+      tickers_per_sec: Number(((this.tickers - this.rate.tickers) / dt).toFixed(2))
+    };
+  }
+  stats(now = Date.now()) {
+    const iso = (t) => (t ? new Date(t).toISOString() : null);
+    return {
+      state: this.state,
+      connects: this.connects,
+      reconnects: this.reconnects,
+      msgs: this.msgs,
+      tickers: this.tickers,
+      msg_per_sec: this.rate.msg_per_sec,
+      tickers_per_sec: this.rate.tickers_per_sec,
+      last_ticker_at: iso(this.lastTickerAt),
+      last_ticker_age_ms: this.lastTickerAt ? now - this.lastTickerAt : null,
+      down_since: iso(this.downSince),
+      gap_total_ms: this.gaps.reduce((s, g) => s + g.ms, 0),
+      gaps: this.gaps.map(g => ({ ...g, from: iso(g.from), to: iso(g.to) }))
+    };
+  }
+}
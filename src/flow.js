@@ -0,0 +1,105 @@
+// Trade flow (FLOW_* env): sub.deal for a rolling set of hot symbols, bucketed per second
+// into taker-buy / taker-sell volume and trade counts.
+// imbalance = (buy - sell) / (buy + sell) over the last shortSec; the trade-count burst is a
+// Poisson z of that window's count vs. the symbol's rate over the preceding baselineSec.
+// A deal is { p, v, T (1 taker buy, 2 taker sell), t }; pushes carry one deal or an array.
+export class TradeFlow {
+  constructor({
+    shortSec = 10, baselineSec = 300, minImbalance = 0.6, minBurstZ = 3, minTrades = 10,
+    cooldownSec = 60, maxSymbols = 20, holdSec = 120
+  } = {}) {
+    this.shortMs = shortSec * 1000;
+    this.baselineMs = baselineSec * 1000;
+    this.minImbalance = minImbalance;
+    this.minBurstZ = minBurstZ;
+    this.minTrades = minTrades;
+    this.cooldownMs = cooldownSec * 1000;
+    this.maxSymbols = maxSymbols;
+    this.holdMs = holdSec * 1000;
+    this.ws = null;
+    this.hot = new Map();    // sym -> subscribed until (ms)
+    this.series = new Map(); // sym -> { b:[{s, buy, sell, n}], since, price }
+    this.blockUntil = new Map();
+  }
+  attach(ws) {
+    this.ws = ws;
+    for (const sym of this.hot.keys()) this.send('sub.deal', sym);
+  }
+  detach() { this.ws = null; this.series.clear(); }
+  send(method, symbol) {
+    try { this.ws?.send(JSON.stringify({ method, param: { symbol } })); } catch {}
+  }
+  // symbols: current top movers, best first. Each stays subscribed holdSec after it was last
+  // listed so the set doesn't churn every broadcast; at most maxSymbols at a time.
+  setHot(symbols, ts = Date.now()) {
+    for (const [sym, until] of this.hot) {
+      if (ts < until) continue;
+      this.hot.delete(sym);
+      this.series.delete(sym);
+      this.send('unsub.deal', sym);
+    }
+    for (const sym of symbols) {
+      if (this.hot.has(sym)) { this.hot.set(sym, ts + this.holdMs); continue; }
+      if (this.hot.size >= this.maxSymbols) continue;
+      this.hot.set(sym, ts + this.holdMs);
+      this.send('sub.deal', sym);
+    }
+  }
+  // Unsubscribes and forgets `sym` now (it left the universe).
+  drop(sym) {
+    if (this.hot.delete(sym)) this.send('unsub.deal', sym);
+    this.series.delete(sym);
+    this.blockUntil.delete(sym);
+  }
+  // push.deal frame; returns the deals' symbol, or null when not a (wanted) deal frame.
+  onMessage(msg) {
+    if (msg?.channel !== 'push.deal' || !this.hot.has(msg.symbol)) return null;
+    const deals = Array.isArray(msg.data) ? msg.data : [msg.data];
+    let s = this.series.get(msg.symbol);
+    if (!s) { s = { b: [], since: null, price: null }; this.series.set(msg.symbol, s); }
+    for (const d of deals) {
+      const t = Number(d?.t), v = Number(d?.v);
+      if (!(t > 0) || !(v > 0)) continue;
+      const sec = Math.floor(t / 1000);
+      let last = s.b[s.b.length - 1];
+      if (!last || sec > last.s) { last = { s: sec, buy: 0, sell: 0, n: 0 }; s.b.push(last); }
+      else if (sec < last.s) last = s.b.find(x => x.s === sec) || last; // late deal: fold into its bucket if kept
+      if (Number(d.T) === 1) last.buy += v; else last.sell += v;
+      last.n++;
+      if (s.since == null) s.since = t;
+      s.price = Number(d.p) || s.price;
+    }
+    const head = s.b[s.b.length - 1]?.s;
+    while (s.b.length && s.b[0].s <= head - (this.shortMs + this.baselineMs) / 1000) s.b.shift();
+    return msg.symbol;
+  }
+  // Flow stats for the last shortSec, or null when the symbol isn't tracked.
+  stats(symbol, ts = Date.now()) {
+    const s = this.series.get(symbol);
+    if (!s || !s.b.length) return null;
+    const cut = Math.floor((ts - this.shortMs) / 1000);
+    let buy = 0, sell = 0, n = 0, baseN = 0;
+    for (const b of s.b) {
+      if (b.s > cut) { buy += b.buy; sell += b.sell; n += b.n; } else baseN += b.n;
+    }
+    const tot = buy + sell;
+    // baseline span: what we've seen before the short window, capped at baselineSec
+    const span = Math.min(this.baselineMs, cut * 1000 - s.since);
+    const lambda = span >= this.baselineMs / 5 ? baseN * this.shortMs / span : null;
+    return {
+      imbalance: tot > 0 ? (buy - sell) / tot : null,
+      buy_vol: buy, sell_vol: sell, trades: n,
+      trades_z: lambda > 0 ? (n - lambda) / Math.sqrt(lambda) : null,
+      price: s.price
+    };
+  }
+  // Alert when the short window is one-sided and busier than usual; null otherwise.
+  check(symbol, ts = Date.now()) {
+    const st = this.stats(symbol, ts);
+    if (!st || st.imbalance == null || st.trades_z == null) return null;
+    if (st.trades < this.minTrades || Math.abs(st.imbalance) < this.minImbalance || st.trades_z < this.minBurstZ) return null;
+    if (ts < (this.blockUntil.get(symbol) || 0)) return null;
+    this.blockUntil.set(symbol, ts + this.cooldownMs);
+    return { ...st, direction: st.imbalance > 0 ? 'UP' : 'DOWN' };
+  }
+}
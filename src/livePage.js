@@ -0,0 +1,75 @@
+// HTML for /live and /sse-viewer. /live lists alerts (and live updates when LIVE_UPDATES_ON)
+// from /alerts + /stream (alert, early, update events); feed status only touches the header.
+export const LIVE_HTML = (tag='')=>`<!doctype html>
+<html lang="en"><meta charset="utf-8"/><title>MEXC Live Alerts</title>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<style>
+:root{--bg:#0b0f1a;--panel:#0f1733;--text:#dbe2ff;--muted:#9fb7ff;--up:#20d080;--dn:#ff6b6b;--chip:#223061;--b:#19203a}
+*{box-sizing:border-box}body{margin:0;background:var(--bg);color:var(--text);font:14px system-ui,Segoe UI,Roboto,Helvetica,Arial}
+header{position:sticky;top:0;background:#0b0f1ad9;border-bottom:1px solid var(--b);padding:12px 16px;display:flex;gap:10px;align-items:center}
+.tag{font-size:12px;color:var(--muted);background:var(--chip);border:1px solid #2b3b8f;border-radius:999px;padding:2px 8px}
+.btn{padding:6px 10px;border:1px solid #2b3b8f;border-radius:6px;text-decoration:none;color:var(--muted)}
+main{max-width:1200px;margin:0 auto;padding:12px}
+.row{display:flex;align-items:center;padding:10px 8px;border-bottom:1px solid #131b3a}
+.sym{width:180px;font-weight:600}
+.dir{width:90px;font-weight:700}.dir.up{color:var(--up)}.dir.down{color:var(--dn)}
+.pct{width:120px}.ctx{width:260px;font-size:12px;color:var(--muted)}.ctx b.hot{color:#ffb454}.row.upd{opacity:.6}.time{margin-left:auto;font-size:12px;color:var(--muted)}
+</style>
+<header> <div style="font-weight:700">Live Alerts</div>
+  <span class="tag">${tag||''}</span>
+  <span class="tag" id="feed">feed</span>
+  <a class="btn" href="/alerts" target="_blank">JSON</a>
+  <a class="btn" href="/sse-viewer" target="_blank">Raw SSE</a>
+</header>
+<main id="list"><small style="color:var(--muted)">Waiting for stream…</small></main>
+<script>
+const list = document.getElementById('list');
+let W = ['1m','5m','10m','15m']; // move windows (move_<key>), replaced by GET /windows
+const row = (a)=>{
+  const tv = "https://www.tradingview.com/chart/?symbol=" + (a.symbol||'').replace('_','') + ":MEXC";
+  const mex="https://www.mexc.com/exchange/"+(a.symbol||'').replace('_','-');
+  const div = document.createElement('div'); div.className = a.is_update ? 'row upd' : 'row';
+  const mv = a['move_'+W[0]] ?? a.move_pct ?? 0;
+  div.innerHTML =
+    '<div class="sym">'+a.symbol+'</div>'+
+    '<div class="dir '+((a.direction||'UP')==='UP'?'up':'down')+'">'+(((a.direction||'UP')==='UP')?'▲ LONG':'▼ SHORT')+'</div>'+
+    '<div class="pct">'+Number(mv).toFixed(3)+'%</div>'+
+    '<div class="ctx">'+ctx(a)+'</div>'+
+    '<a class="btn" target="_blank" href="'+mex+'">MEXC</a>'+
+    '<a class="btn" target="_blank" href="'+tv+'">TV</a>'+
+    '<div class="time">'+new Date(a.t).toLocaleTimeString()+'</div>';
+  return div;
+};
+// funding / OI Δ5m / basis; extreme funding (≥0.1%) or OI moves (≥5%) highlighted
+// live updates show their window moves, flow alerts their taker imbalance; other detectors are named
+const ctx = (a)=>{
+  const out = [];
+  const f = (v, d)=> (v>0?'+':'')+Number(v).toFixed(d)+'%';
+  if (a.is_update) return W.map(k=> k+' '+(a['move_'+k]==null?'—':f(a['move_'+k],3))).join(' · ');
+  if (a.source==='flow') return 'flow '+f(a.imbalance*100,0)+' · '+a.trades+' trades (z '+a.trades_z+')';
+  if (a.source && a.source!=='scanner') out.push(a.source);
+  if (a.imbalance!=null) out.push('imb '+f(a.imbalance*100,0));
+  if (a.funding_rate!=null) out.push('<b'+(Math.abs(a.funding_rate)>=0.001?' class="hot"':'')+'>fund '+f(a.funding_rate*100,3)+'</b>');
+  if (a.oi_change_5m_pct!=null) out.push('<b'+(Math.abs(a.oi_change_5m_pct)>=5?' class="hot"':'')+'>OI '+f(a.oi_change_5m_pct,1)+'</b>');
+  if (a.basis_pct!=null) out.push('basis '+f(a.basis_pct,3));
+  return out.join(' · ');
+};
+fetch('/windows').then(r=>r.json()).then(j=>{ if (j.windows?.length) W = j.windows.map(w=>w.key); }).catch(()=>{})
+  .then(()=> fetch('/alerts'+location.search)).then(r=>r.json()).then(arr=>{ list.innerHTML=''; arr.forEach(a=>list.appendChild(row(a))); });
+// /live?symbols=...&min_z=... passes its filter on to /alerts and /stream
+const es = new EventSource('/stream'+location.search);
+const feedTag = document.getElementById('feed');
+// named events; EventSource resends Last-Event-ID on reconnect and the worker replays what was missed
+const onRow = (ev)=>{ try{ list.prepend(row(JSON.parse(ev.data))); if (list.children.length>500) list.lastChild?.remove(); }catch{} };
+['alert','early','update'].forEach(t=> es.addEventListener(t, onRow));
+es.addEventListener('status', (ev)=>{ try{ const a=JSON.parse(ev.data); if (a.source!=='feed') return;
+  feedTag.textContent = a.status==='down' ? 'feed down: '+a.reason : 'feed up'; feedTag.style.color = a.status==='down' ? 'var(--dn)' : 'var(--up)'; }catch{} });
+</script>
+`;
+
+export const SSE_VIEWER_HTML = `<!doctype html><meta charset="utf-8"/><title>SSE Viewer</title>
+      <pre id="o" style="white-space:pre-wrap;font:12px ui-monospace,Menlo,Consolas"></pre>
+      <script>
+      const o=document.getElementById('o'); const es=new EventSource('/stream'+location.search);
+      ['alert','early','update','trade','status'].forEach(t=> es.addEventListener(t, (e)=>{o.textContent='#'+e.lastEventId+' '+t+' '+e.data+'\\n\\n'+o.textContent.slice(0,20000);}));
+      </script>`;
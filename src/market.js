@@ -0,0 +1,72 @@
+// Per-symbol derivatives context for alert enrichment: funding rate + next funding time,
+// open interest (holdVol, contracts) and its change over oiWindowSec, and the fair/last basis.
+// Fed from push.tickers rows (fairPrice always, fundingRate/holdVol when present) and from
+// the REST ticker / funding_rate polls in index.js, whichever is fresher.
+export class MarketContext {
+  constructor({ oiWindowSec = 300, fundingIntervalH = 8 } = {}) {
+    this.oiWindowMs = oiWindowSec * 1000;
+    this.fundingIntervalMs = fundingIntervalH * 3600e3;
+    this.state = new Map(); // sym -> { fair, funding, nextFunding, fundingAt, oi:[{t,v}] }
+  }
+  slot(symbol) {
+    let s = this.state.get(symbol);
+    if (!s) { s = { fair: null, funding: null, nextFunding: null, fundingAt: 0, oi: [] }; this.state.set(symbol, s); }
+    return s;
+  }
+  // row: a push.tickers row or a /contract/ticker row
+  update(symbol, ts, row) {
+    const s = this.slot(symbol);
+    const fair = Number(row?.fairPrice);
+    if (fair > 0) s.fair = fair;
+    const fr = row?.fundingRate;
+    if (fr != null && Number.isFinite(Number(fr))) s.funding = Number(fr);
+    const oi = Number(row?.holdVol);
+    if (Number.isFinite(oi) && oi >= 0) this.pushOi(s, ts, oi);
+  }
+  pushOi(s, ts, v) {
+    const last = s.oi[s.oi.length - 1];
+    if (last && ts <= last.t) { last.v = v; return; }
+    s.oi.push({ t: ts, v });
+    // keep one sample older than the window so the change spans the full window
+    while (s.oi.length > 2 && s.oi[1].t <= ts - this.oiWindowMs) s.oi.shift();
+  }
+  // /contract/funding_rate/{symbol}: { fundingRate, nextSettleTime, collectCycle (h) }
+  updateFunding(symbol, ts, row) {
+    const s = this.slot(symbol);
+    const fr = Number(row?.fundingRate);
+    if (Number.isFinite(fr)) s.funding = fr;
+    const next = Number(row?.nextSettleTime);
+    if (next > 0) s.nextFunding = next;
+    const cyc = Number(row?.collectCycle);
+    if (cyc > 0) s.cycleMs = cyc * 3600e3;
+    s.fundingAt = ts;
+  }
+  // true when the settle time is unknown or stale (passed, or not fetched within maxAgeMs)
+  fundingStale(symbol, ts, maxAgeMs = 10 * 60e3) {
+    const s = this.state.get(symbol);
+    return !s || !(s.nextFunding > ts) || ts - s.fundingAt > maxAgeMs;
+  }
+  nextFunding(s, ts) {
+    if (s.nextFunding > ts) return s.nextFunding;
+    const step = s.cycleMs || this.fundingIntervalMs; // settlements at 00:00 UTC + k*cycle
+    return Math.floor(ts / step) * step + step;
+  }
+  // Alert payload fields (nulls where unknown).
+  fields(symbol, price, ts) {
+    const s = this.state.get(symbol);
+    if (!s) return { funding_rate: null, next_funding_ts: null, open_interest: null, oi_change_5m_pct: null, fair_price: null, basis_pct: null };
+    const first = s.oi[0], last = s.oi[s.oi.length - 1];
+    const oiChg = first && last && last.t - first.t >= this.oiWindowMs * 0.8 && first.v > 0
+      ? (last.v - first.v) / first.v * 100 : null;
+    return {
+      funding_rate: s.funding,
+      next_funding_ts: s.funding != null ? this.nextFunding(s, ts) : null,
+      open_interest: last ? last.v : null,
+      oi_change_5m_pct: oiChg != null ? Number(oiChg.toFixed(3)) : null,
+      fair_price: s.fair,
+      basis_pct: s.fair > 0 && price > 0 ? Number(((price - s.fair) / s.fair * 100).toFixed(4)) : null
+    };
+  }
+  reset() { this.state.clear(); }
+  drop(symbol) { this.state.delete(symbol); }
+}
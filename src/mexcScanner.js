@@ -1,65 +1,71 @@
 import { WebSocket } from 'ws';
+import { Backoff, FeedMonitor } from './feed.js';
+import { sleep } from './utils.js';
 
 const WS_URL = 'wss://contract.mexc.com/edge';
-const CONTRACT_DETAIL_URL = 'https://contract.mexc.com/api/v1/contract/detail';
 
+// The edge socket: subscribes sub.tickers, pings every 15s, and reconnects (with backoff)
+// when the socket closes or the FeedMonitor finds it stale.
+// Hooks: onOpen(ws) for extra subscriptions (depth, deals), onFrame(raw) → parsed frame or
+// null (fed to the FeedMonitor), onClose() once a connection is gone.
 export class MexcScanner {
-  constructor({ zeroFeeOnly = false, maxTakerFee = 0.0, symbolAllow = [] } = {}) {
-    this.zeroFeeOnly = zeroFeeOnly;
-    this.maxTakerFee = maxTakerFee;
-    this.symbolAllow = new Set(symbolAllow);
-    this.activeSymbols = new Set();
+  constructor({ url = WS_URL, feed = new FeedMonitor(), backoff = new Backoff() } = {}) {
+    this.url = url;
+    this.feed = feed;
+    this.backoff = backoff;
     this.ws = null;
-    this.onTickers = null;
+    this.stopped = false;
+    this.onOpen = null;
+    this.onFrame = null;
+    this.onClose = null;
   }
-  async initContracts() {
-    const res = await fetch(CONTRACT_DETAIL_URL);
-    if (!res.ok) throw new Error(`contract/detail http ${res.status}`);
-    const json = await res.json();
-    const rows = Array.isArray(json?.data) ? json.data : [];
-    const pass = [];
-    for (const r of rows) {
-      if (r?.state !== 0) continue;
-      if (r?.apiAllowed === false) continue;
-      if (this.symbolAllow.size && !this.symbolAllow.has(r.symbol)) continue;
-      if (this.zeroFeeOnly) {
-        const taker = Number(r.takerFeeRate ?? 0);
-        const maker = Number(r.makerFeeRate ?? 0);
-        if (Math.max(taker, maker) > this.maxTakerFee) continue;
-      }
-      pass.push(r.symbol);
+  async run() {
+    while (!this.stopped) {
+      await this.connect();
+      if (this.stopped) break;
+      const wait = this.backoff.next();
+      console.log(`[ws] reconnecting in ${(wait / 1000).toFixed(1)}s`);
+      await sleep(wait);
     }
-    this.activeSymbols = new Set(pass);
   }
+  // One connection; resolves once it is lost.
   connect() {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(WS_URL);
-      let pingTimer = null;
-      const sendPing = () => { try { this.ws?.send(JSON.stringify({ method: 'ping' })); } catch {} };
-      this.ws.on('open', () => {
-        this.ws.send(JSON.stringify({ method: 'sub.tickers', param: {} }));
-        pingTimer = setInterval(sendPing, 15000);
+    return new Promise((resolve) => {
+      const ws = this.ws = new WebSocket(this.url);
+      let pingTimer = null, done = false;
+      const stop = (why) => {
+        if (done) return; done = true;
+        clearInterval(pingTimer);
+        clearInterval(watchdog);
+        try { ws.terminate(); } catch {}
+        if (this.ws === ws) this.ws = null;
+        this.onClose?.();
+        this.feed.closed();
+        if (!this.stopped) this.feed.down(why);
         resolve();
+      };
+      // half-open sockets never emit close on their own: drop them when tickers or pongs stop
+      const watchdog = setInterval(() => {
+        const why = this.feed.check();
+        if (why) { console.error('[ws] stale:', why); stop(why); }
+      }, 1000);
+      ws.on('open', () => {
+        this.feed.opened();
+        ws.send(JSON.stringify({ method: 'sub.tickers', param: {} }));
+        this.onOpen?.(ws);
+        pingTimer = setInterval(() => { try { ws.send(JSON.stringify({ method: 'ping' })); } catch {} }, 15000);
       });
-      this.ws.on('message', (buf) => {
-        let msg; try { msg = JSON.parse(buf.toString()); } catch { return; }
-        if (msg?.channel === 'push.tickers' && Array.isArray(msg.data)) {
-          const ts = Number(msg.ts || Date.now());
-          const rows = msg.data.map(x => ({
-            symbol: x.symbol,
-            lastPrice: x.lastPrice,
-            fairPrice: x.fairPrice,
-            riseFallRate: x.riseFallRate,
-            volume24: x.volume24
-          }));
-          if (this.onTickers) this.onTickers(ts, rows);
-        }
-      });
-      this.ws.on('error', (e) => console.error('WS error', e?.message || e));
-      this.ws.on('close', () => {
-        if (pingTimer) clearInterval(pingTimer);
-        setTimeout(() => this.connect().catch(()=>{}), 2000);
+      ws.on('message', (buf) => {
+        const msg = this.onFrame ? this.onFrame(buf.toString()) : null;
+        // backoff resets once a connection has delivered tickers for a while (not on a flapping one)
+        if (this.feed.message(msg) && Date.now() - this.feed.openedAt > 30 * 1000) this.backoff.reset();
       });
+      ws.on('error', (e) => console.error('[ws]', e?.message || e));
+      ws.on('close', (code) => stop(`socket closed (${code})`));
     });
   }
+  stop() {
+    this.stopped = true;
+    try { this.ws?.terminate(); } catch {}
+  }
 }
@@ -0,0 +1,110 @@
+// Per-symbol price history for the multi-window moves on alerts (MOVE_WINDOWS env), and the live
+// top-mover updates built from it (LIVE_UPDATES_* env).
+//
+// Field scheme (MOVE_SCHEMA, sent as move_schema on alerts and updates): the % move over window
+// <label> is move_<label>, e.g. move_1m, move_10m, move_1h; labels are <n>s|m|h as configured.
+// GET /windows lists the configured windows so dashboards build their selectors from it.
+import { PriceSeries } from './series.js';
+
+export const MOVE_SCHEMA = 2;
+export const DEFAULT_WINDOWS = '1m,5m,10m,15m';
+const UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// '1m,5m,10m' → [{ label, ms, field }] shortest first; bad entries are dropped (none left → the defaults).
+export function parseWindows(v = DEFAULT_WINDOWS) {
+  const out = [];
+  for (const label of String(v).split(',').map(s => s.trim().toLowerCase())) {
+    const m = label.match(/^(\d+)(s|m|h)$/);
+    if (!m || Number(m[1]) <= 0 || out.some(w => w.label === label)) continue;
+    out.push({ label, ms: Number(m[1]) * UNIT_MS[m[2]], field: `move_${label}` });
+  }
+  return out.length ? out.sort((a, b) => a.ms - b.ms) : parseWindows(DEFAULT_WINDOWS);
+}
+
+// { label: pct } → { move_<label>: pct rounded to 3 dp }
+export function moveFields(moves) {
+  const out = {};
+  for (const [label, v] of Object.entries(moves)) out[`move_${label}`] = v != null ? Number(v.toFixed(3)) : null;
+  return out;
+}
+
+// sym → PriceSeries (src/series.js): per-second ring buffer sized for the longest move window
+// (or hi/lo window), so window moves and registered rolling highs/lows are O(1) per query.
+export class PriceHistory {
+  constructor({ windows = parseWindows(), hiLoSec = [] } = {}) {
+    this.windows = windows;
+    this.hiLoSec = hiLoSec;
+    this.maxAgeSec = Math.max(...windows.map(w => w.ms / 1000), ...hiLoSec) + 5;
+    this.series = new Map();
+  }
+  push(sym, ts, price) {
+    let s = this.series.get(sym);
+    if (!s) { s = new PriceSeries({ maxAgeSec: this.maxAgeSec, hiLoSec: this.hiLoSec }); this.series.set(sym, s); }
+    s.push(ts, price);
+    return s;
+  }
+  get(sym) { return this.series.get(sym) || null; }
+  last(sym) { return this.series.get(sym)?.last() ?? null; }
+  pctFrom(sym, ts, ms) { return this.series.get(sym)?.pctFrom(ts, ms) ?? null; }
+  velocity(sym, ts, ms) { return this.series.get(sym)?.velocity(ts, ms) ?? null; }
+  // { label: % move } for every configured window
+  moves(sym, ts) {
+    const s = this.series.get(sym);
+    const out = {};
+    for (const w of this.windows) out[w.label] = s ? s.pctFrom(ts, w.ms) : null;
+    return out;
+  }
+  symbols() { return this.series.keys(); }
+  delete(sym) { this.series.delete(sym); }
+  clear() { this.series.clear(); }
+}
+
+// Ranks symbols by |move| over the shortest window, then the next one; updates() returns the
+// top-N rows whose shortest-window move changed by at least minChangePct since they were last sent.
+export class TopMovers {
+  constructor({ history, topN = 80, minChangePct = 0.02 } = {}) {
+    this.history = history;
+    this.topN = topN;
+    this.minChangePct = minChangePct;
+    this.lastPush = new Map(); // sym -> shortest-window move at last update
+  }
+  rank(ts = Date.now()) {
+    const rows = [];
+    const [w0, w1] = this.history.windows.map(w => w.label);
+    for (const sym of this.history.symbols()) {
+      const moves = this.history.moves(sym, ts);
+      if (Object.values(moves).every(v => v == null)) continue;
+      rows.push({ symbol: sym, price: this.history.last(sym).p, moves });
+    }
+    rows.sort((a, b) => {
+      const A = Math.abs(a.moves[w0] ?? -1e9), B = Math.abs(b.moves[w0] ?? -1e9);
+      if (A !== B || w1 == null) return B - A;
+      return Math.abs(b.moves[w1] ?? -1e9) - Math.abs(a.moves[w1] ?? -1e9);
+    });
+    return rows;
+  }
+  updates(rows, ts = Date.now()) {
+    const out = [];
+    const w0 = this.history.windows[0].label;
+    for (const mv of rows.slice(0, this.topN)) {
+      const last = this.lastPush.get(mv.symbol);
+      const cur = Number(mv.moves[w0] ?? NaN);
+      if (!Number.isFinite(cur) || (Number.isFinite(last) && Math.abs(cur - last) < this.minChangePct)) continue;
+      this.lastPush.set(mv.symbol, cur);
+      out.push({
+        source: 'update',
+        is_update: true,
+        t: new Date(ts).toISOString(),
+        symbol: mv.symbol,
+        price: mv.price,
+        direction: cur >= 0 ? 'UP' : 'DOWN',
+        move_schema: MOVE_SCHEMA,
+        ...moveFields(mv.moves)
+        // no z_score: updates never reach TV/Telegram
+      });
+    }
+    return out;
+  }
+  clear() { this.lastPush.clear(); }
+  drop(sym) { this.lastPush.delete(sym); }
+}
@@ -0,0 +1,133 @@
+// Paper-trading account: simulated market fills with slippage + taker fees,
+// margin/leverage bookkeeping and a realized/unrealized PnL ledger.
+import fs from 'fs';
+import path from 'path';
+
+export class PaperAccount {
+  // stateFile (optional): the account (cash, open positions, closed trades) is written there on every
+  // open/close and read back by load(), so a paper run survives restarts.
+  constructor({ balance = 1000, slippagePct = 0.0005, defaultTakerFee = 0.0002, feeRates = new Map(), maxTrades = 5000, stateFile = null } = {}) {
+    this.startBalance = balance;
+    this.balance = balance;          // cash: start + realized pnl - fees
+    this.slippagePct = slippagePct;
+    this.defaultTakerFee = defaultTakerFee;
+    this.feeRates = feeRates;        // anything with get(symbol) -> { taker, maker } (Map or ContractSpecs)
+    this.maxTrades = maxTrades;
+    this.stateFile = stateFile;
+    this.positions = new Map();      // symbol -> { side, qty, entry, notional, margin, leverage, fees, mark, openedAt }
+    this.trades = [];                // closed trades, newest first
+    this.realized = 0;
+    this.feesPaid = 0;
+    this.seq = 0;
+  }
+  takerFee(symbol) {
+    const f = this.feeRates.get(symbol)?.taker;
+    return Number.isFinite(f) ? f : this.defaultTakerFee;
+  }
+  // buys fill above the print, sells below
+  fillPrice(price, buy) {
+    return buy ? price * (1 + this.slippagePct) : price * (1 - this.slippagePct);
+  }
+  unrealized(p) {
+    const diff = p.side === 'long' ? (p.mark - p.entry) : (p.entry - p.mark);
+    return diff * p.qty;
+  }
+  marginUsed() {
+    let m = 0;
+    for (const p of this.positions.values()) m += p.margin;
+    return m;
+  }
+  open(symbol, side, price, notional, leverage = 1, ts = Date.now()) {
+    if (this.positions.has(symbol)) return { ok: false, reason: 'position already open' };
+    if (!(price > 0) || !(notional > 0)) return { ok: false, reason: 'bad price/notional' };
+    const fill = this.fillPrice(price, side === 'long');
+    const qty = notional / fill;
+    const margin = notional / Math.max(1, leverage);
+    const fee = notional * this.takerFee(symbol);
+    const free = this.balance - this.marginUsed();
+    if (margin + fee > free) return { ok: false, reason: `insufficient margin (free ${free.toFixed(2)} USDT)` };
+    this.balance -= fee;
+    this.feesPaid += fee;
+    const p = { symbol, side, qty, entry: fill, notional, margin, leverage, fees: fee, mark: fill, openedAt: ts };
+    this.positions.set(symbol, p);
+    this.save();
+    return { ok: true, symbol, side, price: fill, qty, margin, fee };
+  }
+  mark(symbol, price) {
+    const p = this.positions.get(symbol);
+    if (p && price > 0) p.mark = price;
+  }
+  close(symbol, price, reason = 'manual', ts = Date.now()) {
+    const p = this.positions.get(symbol);
+    if (!p) return null;
+    const fill = this.fillPrice(price, p.side === 'short');
+    const gross = (p.side === 'long' ? (fill - p.entry) : (p.entry - fill)) * p.qty;
+    const fee = fill * p.qty * this.takerFee(symbol);
+    this.positions.delete(symbol);
+    this.balance += gross - fee;
+    this.realized += gross;
+    this.feesPaid += fee;
+    const trade = {
+      id: ++this.seq,
+      symbol, side: p.side, qty: p.qty, leverage: p.leverage,
+      entry: p.entry, exit: fill, notional: p.notional, margin: p.margin,
+      gross_pnl: gross, fees: p.fees + fee, pnl: gross - p.fees - fee,
+      pnl_pct: (gross - p.fees - fee) / p.margin * 100,
+      reason,
+      opened_at: new Date(p.openedAt).toISOString(),
+      closed_at: new Date(ts).toISOString()
+    };
+    this.trades.unshift(trade);
+    if (this.trades.length > this.maxTrades) this.trades.pop();
+    this.save();
+    return trade;
+  }
+  // Restores a saved account; returns whether there was one.
+  load() {
+    if (!this.stateFile) return false;
+    let st;
+    try { st = JSON.parse(fs.readFileSync(this.stateFile, 'utf8')); } catch { return false; }
+    if (!st || !Number.isFinite(st.balance)) return false;
+    this.startBalance = st.startBalance ?? this.startBalance;
+    this.balance = st.balance;
+    this.realized = st.realized ?? 0;
+    this.feesPaid = st.feesPaid ?? 0;
+    this.seq = st.seq ?? 0;
+    this.positions = new Map(Object.entries(st.positions || {}));
+    this.trades = Array.isArray(st.trades) ? st.trades.slice(0, this.maxTrades) : [];
+    return true;
+  }
+  save() {
+    if (!this.stateFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      const { startBalance, balance, realized, feesPaid, seq, trades } = this;
+      fs.writeFileSync(this.stateFile, JSON.stringify({ startBalance, balance, realized, feesPaid, seq, positions: Object.fromEntries(this.positions), trades }));
+    } catch (e) { console.log('[paper] save failed', e?.message || e); }
+  }
+  openPositions() {
+    return Array.from(this.positions.values()).map(p => ({
+      symbol: p.symbol, side: p.side, qty: p.qty, leverage: p.leverage,
+      entry: p.entry, mark: p.mark, notional: p.notional, margin: p.margin, fees: p.fees,
+      unrealized_pnl: this.unrealized(p),
+      opened_at: new Date(p.openedAt).toISOString()
+    }));
+  }
+  summary() {
+    let unrealized = 0;
+    for (const p of this.positions.values()) unrealized += this.unrealized(p);
+    const margin = this.marginUsed();
+    return {
+      start_balance: this.startBalance,
+      balance: this.balance,
+      equity: this.balance + unrealized,
+      margin_used: margin,
+      free_margin: this.balance - margin,
+      realized_pnl: this.realized,
+      unrealized_pnl: unrealized,
+      fees_paid: this.feesPaid,
+      open_positions: this.positions.size,
+      closed_trades: this.seq
+    };
+  }
+}
@@ -0,0 +1,38 @@
+// Range breakout: price clears the high (low) of the last `minutes` completed 1m bars by at
+// least minPct. The range is the bars before the forming one, so the breakout tick can't widen it.
+export class RangeBreakout {
+  constructor({ enabled = false, minutes = 30, minPct = 0.002, cooldownSec = 300 } = {}) {
+    this.name = 'range_breakout';
+    this.enabled = enabled;
+    this.minutes = minutes;
+    this.minPct = minPct;
+    this.cooldownMs = cooldownSec * 1000;
+    this.blockUntil = new Map();
+  }
+  update({ symbol, ts, price, candles }) {
+    const bars = completedBars(candles, symbol, ts, this.minutes);
+    if (bars.length < this.minutes) return null;
+    let hi = -Infinity, lo = Infinity;
+    for (const b of bars) { if (b.h > hi) hi = b.h; if (b.l < lo) lo = b.l; }
+    const up = (price - hi) / hi, dn = (lo - price) / lo;
+    const ap = Math.max(up, dn);
+    if (!(ap >= this.minPct)) return null;
+    if (ts < (this.blockUntil.get(symbol) || 0)) return null;
+    this.blockUntil.set(symbol, ts + this.cooldownMs);
+    return {
+      direction: up >= dn ? 'UP' : 'DOWN', absPct: ap, z: null,
+      label: `${this.minutes}m range`, windowSec: this.minutes * 60,
+      fields: { range_high: hi, range_low: lo }
+    };
+  }
+  reset() { this.blockUntil.clear(); }
+  drop(symbol) { this.blockUntil.delete(symbol); }
+}
+
+// The last n 1m bars that are complete at ts (oldest → newest).
+export function completedBars(candles, symbol, ts, n) {
+  const bars = candles.bars(symbol, '1m', n + 1);
+  const cur = Math.floor(ts / 60e3) * 60e3;
+  if (bars.length && bars[bars.length - 1].t >= cur) bars.pop();
+  return bars.slice(-n);
+}
@@ -0,0 +1,69 @@
+// Exchange ↔ trailing-state reconciliation.
+// Compares MEXC open positions/orders with what the TrailingManager manages and
+// returns findings: recognised | adopted | orphan | mismatch | stale | stray_orders.
+export class Reconciler {
+  constructor({ executor, trailing, adopt = false, graceMs = 15000 }) {
+    this.executor = executor;
+    this.trailing = trailing;
+    this.adopt = adopt;
+    this.graceMs = graceMs;         // skip positions entered moments ago (exchange may lag)
+    this.saved = trailing.loadSaved(); // restart snapshot, consumed by the first run
+  }
+  async run({ skip = new Set() } = {}) {
+    const [positions, orders] = await Promise.all([
+      this.executor.getOpenPositions(),
+      this.executor.getOpenOrders()
+    ]);
+    const findings = [];
+    const now = Date.now();
+    const onExchange = new Map();
+    for (const x of positions) onExchange.set(x.symbol, x);
+
+    for (const x of positions) {
+      if (skip.has(x.symbol)) continue;
+      const mine = this.trailing.positions.get(x.symbol);
+      const saved = this.saved.get(x.symbol);
+
+      if (mine) {
+        if (mine.side !== x.side) {
+          this.trailing.close(x.symbol);
+          findings.push({ status: 'mismatch', symbol: x.symbol, side: x.side, vol: x.vol, detail: `local ${mine.side} vs exchange ${x.side}` });
+          if (this.adopt) this.adoptPosition(x, findings);
+        } else if (mine.vol != null && Math.abs(mine.vol - x.vol) > 1e-9) {
+          findings.push({ status: 'mismatch', symbol: x.symbol, side: x.side, vol: x.vol, detail: `local vol ${mine.vol} vs exchange ${x.vol}` });
+          mine.vol = x.vol;
+          this.trailing.save();
+        }
+        continue;
+      }
+      if (saved && saved.side === x.side) {
+        this.trailing.restore(x.symbol, { ...saved, vol: x.vol });
+        findings.push({ status: 'recognised', symbol: x.symbol, side: x.side, vol: x.vol, entry: saved.entry, stop: saved.stop ?? null });
+        continue;
+      }
+      findings.push({ status: 'orphan', symbol: x.symbol, side: x.side, vol: x.vol, entry: x.entry });
+      if (this.adopt) this.adoptPosition(x, findings);
+    }
+
+    for (const [sym, p] of this.trailing.positions) {
+      if (onExchange.has(sym) || skip.has(sym) || p.closing) continue;
+      if (now - (p.openedAt || 0) < this.graceMs) continue;
+      this.trailing.close(sym);
+      findings.push({ status: 'stale', symbol: sym, side: p.side, detail: 'managed position no longer open on exchange' });
+    }
+
+    const strays = new Map();
+    for (const o of orders) {
+      if (!o?.symbol || onExchange.has(o.symbol)) continue;
+      strays.set(o.symbol, (strays.get(o.symbol) || 0) + 1);
+    }
+    for (const [sym, n] of strays) findings.push({ status: 'stray_orders', symbol: sym, orders: n });
+
+    this.saved = new Map();
+    return { positions: positions.length, orders: orders.length, findings };
+  }
+  adoptPosition(x, findings) {
+    this.trailing.onEntry(x.symbol, x.side, x.entry, x.vol, { adopted: true });
+    findings.push({ status: 'adopted', symbol: x.symbol, side: x.side, vol: x.vol, entry: x.entry });
+  }
+}
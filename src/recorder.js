@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import readline from 'readline';
+import { sleep } from './utils.js';
+
+// Raw ticker frame recorder + replayer.
+// Files are gzip'd, one per UTC hour: ticks-YYYY-MM-DDTHH.log.gz
+// Each line is `<receivedAtMs>\t<raw frame text>` so replay sees exactly what the socket delivered.
+const FILE_RE = /^ticks-(\d{4}-\d{2}-\d{2}T\d{2})\.log\.gz$/;
+const hourOf = (ts) => new Date(ts).toISOString().slice(0, 13);
+
+export class TickRecorder {
+  constructor({ dir = './data/ticks', retentionHours = 72 } = {}) {
+    this.dir = dir;
+    this.retentionHours = retentionHours;
+    this.hour = null;
+    this.gz = null;
+    this.frames = 0;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  write(raw, ts = Date.now()) {
+    const hour = hourOf(ts);
+    if (hour !== this.hour) this.rotate(hour);
+    this.gz.write(`${ts}\t${raw}\n`);
+    this.frames++;
+  }
+  rotate(hour) {
+    try { this.gz?.end(); } catch {}
+    this.hour = hour;
+    const file = path.join(this.dir, `ticks-${hour}.log.gz`);
+    // appending a second gzip member to an existing hour file is valid gzip
+    this.gz = zlib.createGzip();
+    this.gz.pipe(fs.createWriteStream(file, { flags: 'a' })).on('error', (e) => console.log('[recorder]', e?.message || e));
+    this.prune();
+  }
+  prune(now = Date.now()) {
+    if (!(this.retentionHours > 0)) return;
+    const keepFrom = hourOf(now - this.retentionHours * 3600 * 1000);
+    for (const f of listTickFiles(this.dir)) {
+      if (f.hour >= keepFrom) continue;
+      try { fs.unlinkSync(f.file); } catch {}
+    }
+  }
+  close() { try { this.gz?.end(); } catch {} this.gz = null; this.hour = null; }
+}
+
+// Hour files in a directory, oldest first.
+export function listTickFiles(dir) {
+  let names = [];
+  try { names = fs.readdirSync(dir); } catch { return []; }
+  return names.map(n => { const m = n.match(FILE_RE); return m ? { hour: m[1], file: path.join(dir, n) } : null; })
+    .filter(Boolean)
+    .sort((a, b) => a.hour.localeCompare(b.hour));
+}
+
+// A file, or every recorded hour in a directory.
+export function resolveTickFiles(target) {
+  const st = fs.statSync(target);
+  return st.isDirectory() ? listTickFiles(target).map(f => f.file) : [target];
+}
+
+// Async iterator of { ts, raw } over recorded files, in order.
+export async function* readTicks(files) {
+  for (const file of files) {
+    const input = fs.createReadStream(file);
+    const rl = readline.createInterface({ input: file.endsWith('.gz') ? input.pipe(zlib.createGunzip()) : input, crlfDelay: Infinity });
+    try {
+      for await (const line of rl) {
+        const i = line.indexOf('\t');
+        if (i <= 0) continue;
+        yield { ts: Number(line.slice(0, i)), raw: line.slice(i + 1) };
+      }
+    } catch (e) {
+      // a file cut off mid-write (crash/redeploy) ends early instead of aborting the replay
+      console.log('[replay]', path.basename(file), e?.message || e);
+    }
+  }
+}
+
+// Feed recorded frames to onFrame(raw, ts) at `speed`x the recorded pace (0 = as fast as possible).
+export async function replayTicks(files, { speed = 1, onFrame, shouldStop = () => false } = {}) {
+  let prevTs = null, n = 0;
+  for await (const { ts, raw } of readTicks(files)) {
+    if (shouldStop()) break;
+    if (speed > 0 && prevTs != null && ts > prevTs) await sleep((ts - prevTs) / speed);
+    else if (++n % 500 === 0) await new Promise(r => setImmediate(r)); // keep HTTP/SSE responsive
+    prevTs = ts;
+    onFrame(raw, ts);
+  }
+}
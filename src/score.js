@@ -0,0 +1,26 @@
+// Alert severity (0–3) and composite rank, computed once in the worker so every client
+// (dashboard, /live, TV, Telegram) sees the same scores (SEVERITY_*, RANK_W_* env).
+// severity = highest level whose z threshold or move threshold (%) the alert reaches.
+// rank = severity·w.severity + z·w.z + move%·w.move + pps·w.pps + confluence bonus.
+export class AlertScorer {
+  constructor({ zLevels = [3.7, 4.5, 6], moveLevels = [0.6, 1, 2], weights = {} } = {}) {
+    this.zLevels = zLevels;
+    this.moveLevels = moveLevels;
+    this.weights = { severity: 50, z: 6, move: 4, pps: 2, ...weights };
+  }
+  severity(z, movePct) {
+    let lvl = 0;
+    for (let i = 0; i < 3; i++) {
+      if (z >= this.zLevels[i] || movePct >= this.moveLevels[i]) lvl = i + 1;
+    }
+    return lvl;
+  }
+  // z / movePct / pps may be null (detectors without a z-score, no velocity yet) and count as 0.
+  score({ z = null, movePct = null, pps = null, bonus = 0 }) {
+    const Z = Number(z) || 0, M = Math.abs(Number(movePct) || 0), P = Math.abs(Number(pps) || 0);
+    const severity = this.severity(Z, M);
+    const w = this.weights;
+    const rank = severity * w.severity + Z * w.z + M * w.move + P * w.pps + (Number(bonus) || 0);
+    return { severity, pps: pps != null ? Number(pps.toFixed(4)) : null, rank: Number(rank.toFixed(2)) };
+  }
+}
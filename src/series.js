@@ -0,0 +1,152 @@
+// Per-symbol rolling price series in fixed memory.
+//
+// Ticks are bucketed per second into a circular buffer (close / high / low per second) that
+// holds maxAgeSec seconds. Seconds without a tick carry the previous close forward, so the
+// bucket for second s sits at a fixed offset from the newest one and a window return is one
+// array lookup. Rolling highs/lows over the registered hiLoSec windows come from monotonic
+// deques fed as each second completes, so they cover completed seconds only (the current
+// second's ticks are excluded, i.e. "the range before this tick" at 1 Hz). Other windows
+// fall back to a scan of the buckets.
+//
+// All operations are O(1) amortised per tick; gaps cost one step per missing second
+// (capped at the buffer size, after which the series restarts).
+class MonoDeque {
+  // max: true keeps the running max, false the running min
+  constructor(cap, max) {
+    this.cap = cap;
+    this.max = max;
+    this.sec = new Float64Array(cap);
+    this.val = new Float64Array(cap);
+    this.head = 0;   // index of the front
+    this.size = 0;
+  }
+  push(sec, v) {
+    // drop dominated values from the back
+    while (this.size) {
+      const b = (this.head + this.size - 1) % this.cap;
+      if (this.max ? this.val[b] > v : this.val[b] < v) break;
+      this.size--;
+    }
+    if (this.size === this.cap) { this.head = (this.head + 1) % this.cap; this.size--; }
+    const i = (this.head + this.size) % this.cap;
+    this.sec[i] = sec;
+    this.val[i] = v;
+    this.size++;
+  }
+  // drop entries older than sec
+  evict(sec) {
+    while (this.size && this.sec[this.head] < sec) { this.head = (this.head + 1) % this.cap; this.size--; }
+  }
+  front() { return this.size ? this.val[this.head] : null; }
+  clear() { this.head = 0; this.size = 0; }
+}
+
+export class PriceSeries {
+  constructor({ maxAgeSec = 905, hiLoSec = [] } = {}) {
+    this.cap = Math.max(2, Math.ceil(maxAgeSec) + 1);
+    this.close = new Float64Array(this.cap);
+    this.high = new Float64Array(this.cap);
+    this.low = new Float64Array(this.cap);
+    this.head = -1;        // buffer index of the newest second
+    this.lastSec = null;   // newest second
+    this.count = 0;        // seconds held (≤ cap)
+    this.lastTick = null;  // { t, p } newest tick
+    this.prevTick = null;  // the tick before it
+    this.hilo = new Map(); // window sec -> { hi: MonoDeque, lo: MonoDeque }
+    for (const w of hiLoSec) {
+      if (w > 0 && !this.hilo.has(w)) this.hilo.set(w, { hi: new MonoDeque(w + 1, true), lo: new MonoDeque(w + 1, false) });
+    }
+  }
+  push(ts, price) {
+    const sec = Math.floor(ts / 1000);
+    if (this.lastSec != null && sec < this.lastSec) return; // out of order: ignore
+    this.prevTick = this.lastTick;
+    this.lastTick = { t: ts, p: price };
+    if (sec === this.lastSec) {
+      const i = this.head;
+      this.close[i] = price;
+      if (price > this.high[i]) this.high[i] = price;
+      if (price < this.low[i]) this.low[i] = price;
+      return;
+    }
+    if (this.lastSec != null && sec - this.lastSec >= this.cap) this.restart();
+    if (this.lastSec != null) {
+      this.complete(this.lastSec, this.head);
+      // carry the close through the seconds without ticks
+      const c = this.close[this.head];
+      for (let s = this.lastSec + 1; s < sec; s++) {
+        this.advance(s, c, c, c);
+        this.complete(s, this.head);
+      }
+    }
+    this.advance(sec, price, price, price);
+  }
+  advance(sec, c, h, l) {
+    this.head = (this.head + 1) % this.cap;
+    this.close[this.head] = c;
+    this.high[this.head] = h;
+    this.low[this.head] = l;
+    this.lastSec = sec;
+    if (this.count < this.cap) this.count++;
+  }
+  // second `sec` (at buffer index i) is complete: feed the hi/lo deques
+  complete(sec, i) {
+    for (const [w, d] of this.hilo) {
+      d.hi.push(sec, this.high[i]);
+      d.lo.push(sec, this.low[i]);
+      d.hi.evict(sec - w + 1);
+      d.lo.evict(sec - w + 1);
+    }
+  }
+  restart() {
+    this.head = -1;
+    this.lastSec = null;
+    this.count = 0;
+    for (const d of this.hilo.values()) { d.hi.clear(); d.lo.clear(); }
+  }
+  // buffer index of second sec, clamped to the oldest held; null when sec is after the newest
+  index(sec) {
+    const back = this.lastSec - sec;
+    if (back < 0) return null;
+    return (this.head - Math.min(back, this.count - 1) + this.cap) % this.cap;
+  }
+  get size() { return this.count; }
+  last() { return this.lastTick; }
+  prev() { return this.prevTick; }
+  // % move from the close of second floor((ts - ms) / 1000) (or the oldest held) to the latest price
+  pctFrom(ts, ms) {
+    if (!this.lastTick) return null;
+    const i = this.index(Math.floor((ts - ms) / 1000));
+    if (i == null) return null;
+    const base = this.close[i];
+    return base > 0 ? ((this.lastTick.p - base) / base) * 100 : null;
+  }
+  // signed %/s over the same span, using the seconds actually held
+  velocity(ts, ms) {
+    if (!this.lastTick) return null;
+    const from = Math.floor((ts - ms) / 1000);
+    const i = this.index(from);
+    if (i == null) return null;
+    const span = Math.min(this.lastSec - from, this.count - 1);
+    const base = this.close[i];
+    return span > 0 && base > 0 ? ((this.lastTick.p - base) / base) * 100 / span : null;
+  }
+  // { hi, lo } over the completed seconds of the last ms (current second excluded); null when none
+  hiLo(ms) {
+    const w = Math.round(ms / 1000);
+    const d = this.hilo.get(w);
+    if (d) {
+      // the deques only advance on ticks: drop what has aged out since
+      d.hi.evict(this.lastSec - w); d.lo.evict(this.lastSec - w);
+      return d.hi.size ? { hi: d.hi.front(), lo: d.lo.front() } : null;
+    }
+    let hi = -Infinity, lo = Infinity;
+    const n = Math.min(w, this.count - 1);
+    for (let k = 1; k <= n; k++) {
+      const i = (this.head - k + this.cap) % this.cap;
+      if (this.high[i] > hi) hi = this.high[i];
+      if (this.low[i] < lo) lo = this.low[i];
+    }
+    return n > 0 ? { hi, lo } : null;
+  }
+}
@@ -1,6 +1,8 @@
 export class SpikeEngine {
-  constructor({ windowSec = 5, minAbsPct = 0.003, zMult = 4.0, cooldownSec = 45 }) {
+  // minVolZ: when set, a spike also needs the symbol's volume z-score (src/volume.js) ≥ minVolZ; unknown volume fails.
+  constructor({ windowSec = 5, minAbsPct = 0.003, zMult = 4.0, cooldownSec = 45, minVolZ = null }) {
     this.windowSec = windowSec;
+    this.minVolZ = minVolZ;
     this.minAbsPct = minAbsPct;
     this.zMult = zMult;
     this.cooldownSec = cooldownSec;
@@ -8,7 +10,7 @@ export class SpikeEngine {
     this.ewmaAbs = new Map();
     this.coolUntil = new Map();
   }
-  update(symbol, price, ts) {
+  update(symbol, price, ts, volZ = null) {
     const prev = this.last.get(symbol);
     this.last.set(symbol, { price, ts });
     if (!prev || prev.price <= 0) return null;
@@ -23,6 +25,7 @@ export class SpikeEngine {
     const threshold = Math.max(this.minAbsPct, this.zMult * ewma);
     const isSpike = absPct >= threshold;
     if (!isSpike) return { isSpike: false };
+    if (this.minVolZ != null && !(volZ >= this.minVolZ)) return { isSpike: false, volumeGated: true };
     const until = this.coolUntil.get(symbol) || 0;
     if (ts < until) return { isSpike: false };
     this.coolUntil.set(symbol, ts + this.cooldownSec * 1000);
@@ -33,4 +36,6 @@ export class SpikeEngine {
       direction: pct >= 0 ? 'UP' : 'DOWN'
     };
   }
+  reset() { this.last.clear(); this.ewmaAbs.clear(); this.coolUntil.clear(); }
+  drop(symbol) { this.last.delete(symbol); this.ewmaAbs.delete(symbol); this.coolUntil.delete(symbol); }
 }
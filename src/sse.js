@@ -0,0 +1,68 @@
+// /stream fan-out (SSE_* env). Every event gets a monotonically increasing id and a named type;
+// the last `backlog` events are kept in memory so a reconnecting EventSource (Last-Event-ID
+// header, or ?lastEventId= for polyfills) gets what it missed. Ids start from the boot time in
+// ms, so they keep increasing across restarts; an id older than the backlog replays all of it.
+//
+// Event types: alert (scanner and the other detectors, flow), early, update (live top movers),
+// trade (entries/stops/exits/reconcile), status (feed up/down, universe changes).
+// Each connection may carry a StreamFilter (src/streamFilter.js); it also applies to the replay.
+export function eventType(obj) {
+  switch (obj?.source) {
+    case 'early': return 'early';
+    case 'update': return 'update';
+    case 'trade': return 'trade';
+    case 'feed':
+    case 'universe': return 'status';
+    default: return 'alert';
+  }
+}
+
+const HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache, no-transform',
+  'Connection': 'keep-alive',
+  'Access-Control-Allow-Origin': '*'
+};
+
+export class SseHub {
+  constructor({ backlog = 1000, retryMs = 3000, heartbeatMs = 15000 } = {}) {
+    this.max = backlog;
+    this.retryMs = retryMs;
+    this.heartbeatMs = heartbeatMs;
+    this.seq = Date.now();
+    this.backlog = [];       // [{ id, type, obj, frame }] oldest → newest
+    this.clients = new Map(); // res -> StreamFilter | null
+  }
+  get size() { return this.clients.size; }
+  broadcast(obj) {
+    const id = ++this.seq;
+    const type = eventType(obj);
+    const frame = `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(obj)}\n\n`;
+    this.backlog.push({ id, type, obj, frame });
+    if (this.backlog.length > this.max) this.backlog.shift();
+    for (const [res, filter] of this.clients) {
+      if (filter && !filter.match(obj, type)) continue;
+      try { res.write(frame); } catch {}
+    }
+    return id;
+  }
+  // Events after lastId, oldest first.
+  since(lastId) {
+    if (!Number.isFinite(lastId)) return [];
+    let i = this.backlog.length;
+    while (i > 0 && this.backlog[i - 1].id > lastId) i--;
+    return this.backlog.slice(i);
+  }
+  attach(req, res, url, filter = null) {
+    const raw = req.headers['last-event-id'] ?? url?.searchParams.get('lastEventId');
+    const last = raw != null && raw !== '' ? Number(raw) : NaN; // fresh clients start from /alerts
+    res.writeHead(200, HEADERS);
+    res.write(`retry: ${this.retryMs}\n:ok\n\n`);
+    const missed = this.since(last);
+    if (missed.length && missed[0].id > last + 1) res.write(`: gap, the backlog starts at id ${missed[0].id}\n\n`);
+    for (const e of missed) if (!filter || filter.match(e.obj, e.type)) res.write(e.frame);
+    this.clients.set(res, filter?.empty ? null : filter);
+    const hb = setInterval(() => { try { res.write(':hb\n\n'); } catch {} }, this.heartbeatMs);
+    req.on('close', () => { clearInterval(hb); this.clients.delete(res); });
+  }
+}
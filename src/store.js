@@ -0,0 +1,84 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+// Append-only event store: one JSONL segment per UTC day (events-YYYY-MM-DD.jsonl).
+// Each line is { ts, kind, data } where kind is alert | update | order | trail.
+const SEG_RE = /^events-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayOf = (ts) => new Date(ts).toISOString().slice(0, 10);
+
+export class EventStore {
+  constructor({ dir = './data/events', retentionDays = 14 } = {}) {
+    this.dir = dir;
+    this.retentionDays = retentionDays;
+    this.day = null;
+    this.out = null;
+    fs.mkdirSync(dir, { recursive: true });
+  }
+  segments() {
+    let names = [];
+    try { names = fs.readdirSync(this.dir); } catch { return []; }
+    return names.map(n => { const m = n.match(SEG_RE); return m ? { day: m[1], file: path.join(this.dir, n) } : null; })
+      .filter(Boolean)
+      .sort((a, b) => a.day.localeCompare(b.day));
+  }
+  append(kind, data, ts = Date.now()) {
+    const day = dayOf(ts);
+    if (day !== this.day) this.rotate(day);
+    try { this.out.write(JSON.stringify({ ts, kind, data }) + '\n'); }
+    catch (e) { console.log('[store] write failed', e?.message || e); }
+  }
+  rotate(day) {
+    try { this.out?.end(); } catch {}
+    this.day = day;
+    this.out = fs.createWriteStream(path.join(this.dir, `events-${day}.jsonl`), { flags: 'a' });
+    this.out.on('error', (e) => console.log('[store]', e?.message || e));
+    this.prune();
+  }
+  prune(now = Date.now()) {
+    if (!(this.retentionDays > 0)) return;
+    const keepFrom = dayOf(now - this.retentionDays * DAY_MS);
+    for (const s of this.segments()) {
+      if (s.day >= keepFrom) continue;
+      try { fs.unlinkSync(s.file); console.log('[store] pruned', path.basename(s.file)); } catch {}
+    }
+  }
+  // Newest-first data objects of the given kinds, read synchronously at boot.
+  loadRecent({ kinds = ['alert'], limit = 500 } = {}) {
+    const want = new Set(kinds);
+    const out = [];
+    const segs = this.segments();
+    for (let i = segs.length - 1; i >= 0 && out.length < limit; i--) {
+      let lines;
+      try { lines = fs.readFileSync(segs[i].file, 'utf8').split('\n'); } catch { continue; }
+      for (let j = lines.length - 1; j >= 0 && out.length < limit; j--) {
+        if (!lines[j]) continue;
+        let rec; try { rec = JSON.parse(lines[j]); } catch { continue; }
+        if (want.has(rec.kind)) out.push(rec.data);
+      }
+    }
+    return out;
+  }
+  // Oldest-first records in [from, to] (ms), optionally filtered by kinds/symbol.
+  async query({ from = 0, to = Date.now(), kinds = null, symbol = null, limit = 1000 } = {}) {
+    const want = kinds?.length ? new Set(kinds) : null;
+    const fromDay = dayOf(Math.max(0, from)), toDay = dayOf(to);
+    const out = [];
+    for (const s of this.segments()) {
+      if (s.day < fromDay || s.day > toDay) continue;
+      const rl = readline.createInterface({ input: fs.createReadStream(s.file), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line) continue;
+        let rec; try { rec = JSON.parse(line); } catch { continue; }
+        if (rec.ts < from || rec.ts > to) continue;
+        if (want && !want.has(rec.kind)) continue;
+        if (symbol && rec.data?.symbol !== symbol) continue;
+        out.push(rec);
+        if (out.length >= limit) { rl.close(); return out; }
+      }
+    }
+    return out;
+  }
+  close() { try { this.out?.end(); } catch {} this.out = null; this.day = null; }
+}
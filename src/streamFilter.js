@@ -0,0 +1,75 @@
+// Per-connection event filter for /stream (and /ws subscriptions).
+//
+// Query: types=alert,early,update,trade,status  symbols=BTC_USDT,ETH_USDT  sources=scanner,early,flow
+//        direction=UP|DOWN (or long|short)  min_z=3  min_move=0.5 (|%|)
+// Every criterion is optional and all given ones must hold. symbols / sources / direction only
+// apply to events that carry that field (feed status has no symbol). min_z and min_move apply to
+// market events (alert, early, update): the z_score (flow: trades_z) and |move_pct| — for live
+// updates, which have no move_pct, the shortest move window (moveField) — must be present and reach them.
+import { eventType } from './sse.js';
+
+export const EVENT_TYPES = ['alert', 'early', 'update', 'trade', 'status'];
+const MARKET = new Set(['alert', 'early', 'update']);
+
+const set = (v, f = (s) => s) => {
+  const xs = String(v || '').split(',').map(s => f(s.trim())).filter(Boolean);
+  return xs.length ? new Set(xs) : null;
+};
+
+export class StreamFilter {
+  constructor({ types = null, symbols = null, sources = null, direction = null, minZ = null, minMove = null, moveField = 'move_1m' } = {}) {
+    this.types = types;
+    this.symbols = symbols;
+    this.sources = sources;
+    this.direction = direction;
+    this.minZ = minZ;
+    this.minMove = minMove;
+    this.moveField = moveField;
+  }
+  // URLSearchParams (or a plain object) → StreamFilter; throws on bad values.
+  static fromQuery(q, { moveField } = {}) {
+    const get = (k) => (typeof q.get === 'function' ? q.get(k) : q[k]) ?? null;
+    const types = set(get('types'), s => s.toLowerCase());
+    const bad = types && [...types].filter(t => !EVENT_TYPES.includes(t));
+    if (bad?.length) throw new Error(`unknown types: ${bad.join(', ')} (use ${EVENT_TYPES.join(', ')})`);
+    let direction = get('direction');
+    if (direction != null && direction !== '') {
+      direction = { up: 'UP', long: 'UP', down: 'DOWN', short: 'DOWN' }[String(direction).toLowerCase()];
+      if (!direction) throw new Error('direction must be UP|DOWN (or long|short)');
+    } else direction = null;
+    const number = (k) => {
+      const v = get(k);
+      if (v == null || v === '') return null;
+      const n = Number(v);
+      if (!Number.isFinite(n)) throw new Error(`${k} must be a number`);
+      return n;
+    };
+    return new StreamFilter({
+      types, direction, moveField,
+      symbols: set(get('symbols'), s => s.toUpperCase()),
+      sources: set(get('sources')),
+      minZ: number('min_z'),
+      minMove: number('min_move')
+    });
+  }
+  get empty() {
+    return !this.types && !this.symbols && !this.sources && !this.direction && this.minZ == null && this.minMove == null;
+  }
+  match(obj, type = eventType(obj)) {
+    if (this.types && !this.types.has(type)) return false;
+    if (this.symbols && obj.symbol && !this.symbols.has(obj.symbol)) return false;
+    if (this.sources && obj.source && !this.sources.has(obj.source)) return false;
+    if (this.direction && obj.direction && obj.direction !== this.direction) return false;
+    if (!MARKET.has(type)) return true;
+    if (this.minZ != null && !(Number(obj.z_score ?? obj.trades_z) >= this.minZ)) return false;
+    if (this.minMove != null && !(Math.abs(Number(obj.move_pct ?? obj[this.moveField])) >= this.minMove)) return false;
+    return true;
+  }
+  toJSON() {
+    const arr = (s) => (s ? [...s] : null);
+    return {
+      types: arr(this.types), symbols: arr(this.symbols), sources: arr(this.sources),
+      direction: this.direction, min_z: this.minZ, min_move: this.minMove
+    };
+  }
+}
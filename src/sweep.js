@@ -0,0 +1,187 @@
+// Parameter sweep: grid over backtest params, run in worker threads across
+// recorded sessions, ranked by an objective with walk-forward train/test splits.
+//
+// CLI: node src/sweep.js <dir> KEY=a,b,c KEY=lo:hi:step ... [--objective=pnl|sharpe|precision]
+//        [--folds=3] [--workers=N] [--top=10] [--json]
+//   KEY uses the env names from src/backtest.js (WINDOW_SEC, Z_MULTIPLIER, TRAIL_DISTANCE_PCT, ...).
+//   Recordings are split into folds+1 consecutive blocks; fold i trains on blocks 0..i-1 and tests on block i.
+//   Combos are ranked (and the winner picked) on the last fold's train blocks only; the last block is held
+//   out and only reported.
+import 'dotenv/config';
+import os from 'os';
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { PARAM_ENV, paramsFromEnv, runBacktest, TickBlock } from './backtest.js';
+import { resolveTickFiles } from './recorder.js';
+
+const MAX_COMBOS = 5000;
+
+// "a,b,c" → [a,b,c]; "lo:hi:step" → lo, lo+step, ... hi
+export function parseRange(spec) {
+  const s = String(spec).trim();
+  if (/^[^:,]+:[^:,]+:[^:,]+$/.test(s)) {
+    const [lo, hi, step] = s.split(':').map(Number);
+    if (![lo, hi, step].every(Number.isFinite) || step <= 0 || hi < lo) throw new Error(`bad range ${s}`);
+    const dec = Math.max(...[lo, step].map(x => (String(x).split('.')[1] || '').length));
+    const out = [];
+    for (let v = lo; v <= hi + step * 1e-9; v += step) out.push(Number(v.toFixed(dec)));
+    return out;
+  }
+  return s.split(',').map(x => x.trim()).filter(Boolean);
+}
+
+export function grid(ranges) {
+  let combos = [{}];
+  for (const [key, values] of Object.entries(ranges)) {
+    const next = [];
+    for (const c of combos) for (const v of values) next.push({ ...c, [key]: v });
+    combos = next;
+  }
+  return combos;
+}
+
+// Metrics of one or more blocks → objective score (higher is better).
+export function score(objective, ms) {
+  if (objective === 'sharpe') {
+    const xs = ms.map(m => m.trades.sharpe).filter(x => x != null);
+    return xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : -Infinity;
+  }
+  if (objective === 'precision') {
+    let hit = 0, n = 0;
+    for (const m of ms) { const k = m.hit_samples['5m']; n += k; hit += (m.hit_rate['5m'] || 0) * k; }
+    return n ? hit / n : -Infinity;
+  }
+  return ms.reduce((s, m) => s + (m.trades.pnl_usdt || 0), 0);
+}
+
+// ----- worker: load one block into memory (compact, see TickBlock), run every combo it was given -----
+async function workerMain() {
+  const { files, combos, baseEnv } = workerData;
+  const block = await TickBlock.fromTicks(files);
+  for (const c of combos) {
+    const m = await runBacktest(block, paramsFromEnv({ ...baseEnv, ...c.env }));
+    parentPort.postMessage({ id: c.id, metrics: m });
+  }
+}
+
+function runPool(tasks, nWorkers, onResult) {
+  const self = fileURLToPath(import.meta.url);
+  let next = 0, done = 0;
+  return new Promise((resolve, reject) => {
+    if (!tasks.length) return resolve();
+    const spawn = () => {
+      if (next >= tasks.length) return;
+      const t = tasks[next++];
+      const w = new Worker(self, { workerData: t.data });
+      w.on('message', (msg) => onResult(t, msg));
+      w.on('error', reject);
+      w.on('exit', (code) => {
+        if (code !== 0) return reject(new Error(`worker exited with ${code}`));
+        if (++done === tasks.length) resolve(); else spawn();
+      });
+    };
+    for (let i = 0; i < Math.min(nWorkers, tasks.length); i++) spawn();
+  });
+}
+
+// Backtest-only keys: the simulation's exit and fill model, not settings to deploy; left out of the winner.
+const BACKTEST_ONLY = new Set(['BT_MAX_HOLD_SEC', 'PAPER_SLIPPAGE_PCT', 'PAPER_DEFAULT_TAKER_FEE']);
+
+function envBlock(env) {
+  const out = [];
+  for (const [, [name]] of Object.entries(PARAM_ENV)) {
+    if (env[name] == null || env[name] === '') continue;
+    out.push(`${name}="${env[name]}"`);
+  }
+  return out.join('\n');
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const opt = (k, d) => { const a = args.find(x => x.startsWith(`--${k}=`)); return a ? a.slice(k.length + 3) : d; };
+  const target = args.find(a => !a.includes('=') && !a.startsWith('--'));
+  if (!target) { console.error('usage: node src/sweep.js <file|dir> KEY=a,b KEY=lo:hi:step ... [--objective=pnl|sharpe|precision] [--folds=3] [--workers=N] [--top=10] [--json]'); process.exit(2); }
+
+  const known = new Set(Object.values(PARAM_ENV).map(([name]) => name));
+  const ranges = {};
+  for (const a of args.filter(x => x.includes('=') && !x.startsWith('--'))) {
+    const key = a.slice(0, a.indexOf('='));
+    if (!known.has(key)) { console.error(`[sweep] unknown key ${key}`); process.exit(2); }
+    ranges[key] = parseRange(a.slice(a.indexOf('=') + 1));
+  }
+  const objective = opt('objective', 'pnl');
+  if (!['pnl', 'sharpe', 'precision'].includes(objective)) { console.error(`[sweep] unknown objective ${objective}`); process.exit(2); }
+  const nWorkers = Math.max(1, Number(opt('workers', Math.max(1, os.cpus().length - 1))));
+  const top = Number(opt('top', 10));
+
+  const combos = grid(ranges).map((env, id) => ({ id, env }));
+  if (combos.length > MAX_COMBOS) { console.error(`[sweep] ${combos.length} combos > ${MAX_COMBOS}; narrow the ranges`); process.exit(2); }
+
+  const files = resolveTickFiles(target);
+  const nBlocks = Math.max(1, Math.min(Number(opt('folds', 3)) + 1, files.length));
+  const blocks = Array.from({ length: nBlocks }, (_, i) => files.slice(Math.floor(i * files.length / nBlocks), Math.floor((i + 1) * files.length / nBlocks)));
+  if (nBlocks < 2) console.log('[sweep] only one block of recordings: ranking is in-sample (no walk-forward)');
+
+  // one task per (block, combo chunk) so each worker parses a block once
+  const chunk = Math.max(1, Math.ceil(combos.length / nWorkers));
+  const tasks = [];
+  blocks.forEach((bf, b) => {
+    for (let i = 0; i < combos.length; i += chunk) tasks.push({ block: b, data: { files: bf, combos: combos.slice(i, i + chunk), baseEnv: { ...process.env } } });
+  });
+  console.log(`[sweep] ${combos.length} combos × ${nBlocks} blocks (${files.length} files) • objective=${objective} • workers=${nWorkers}`);
+
+  const results = combos.map(() => new Array(nBlocks));
+  let n = 0;
+  const t0 = Date.now();
+  await runPool(tasks, nWorkers, (t, msg) => {
+    results[msg.id][t.block] = msg.metrics;
+    if (++n % 50 === 0) console.log(`[sweep] ${n}/${combos.length * nBlocks} runs • ${((Date.now() - t0) / 1000).toFixed(0)}s`);
+  });
+
+  // walk-forward: per fold, train = blocks before it, test = the fold's block
+  const folds = [];
+  for (let i = 1; i < nBlocks; i++) {
+    const scored = combos.map(c => ({ id: c.id, train: score(objective, results[c.id].slice(0, i)), test: score(objective, [results[c.id][i]]) }));
+    scored.sort((a, b) => b.train - a.train);
+    folds.push({ fold: i, best: scored[0].id, train: scored[0].train, test: scored[0].test });
+  }
+  // ranking only sees the train blocks (0..n-2); the held-out last block is reported, never used to choose
+  const nTrain = Math.max(1, nBlocks - 1);
+  const ranked = combos.map(c => {
+    const train = score(objective, results[c.id].slice(0, nTrain));
+    const test = nBlocks > 1 ? score(objective, [results[c.id][nBlocks - 1]]) : null;
+    const trades = results[c.id].slice(0, nTrain).reduce((s, m) => s + m.trades.count, 0);
+    const alerts = results[c.id].slice(0, nTrain).reduce((s, m) => s + m.alerts.total, 0);
+    return { id: c.id, env: c.env, train, test, trades, alerts };
+  }).sort((a, b) => (b.train - a.train) || (a.id - b.id));
+
+  const winner = ranked[0];
+  const winnerEnv = {};
+  const p = paramsFromEnv({ ...process.env, ...winner.env });
+  for (const [k, [name, , type]] of Object.entries(PARAM_ENV)) {
+    if (type === 'list' || BACKTEST_ONLY.has(name) || p[k] == null) continue;
+    winnerEnv[name] = String(p[k]);
+  }
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ objective, blocks: nBlocks, folds, ranked: ranked.slice(0, top), winner: winnerEnv, winner_train: winner.train, winner_test: winner.test }, null, 2));
+    return;
+  }
+  const f = (x) => Number.isFinite(x) ? x.toFixed(4) : '—';
+  console.log(`\nrank  ${`${objective}(train)`.padStart(12)}  ${`${objective}(test)`.padStart(11)}  trades  alerts  params   (trades/alerts on train)`);
+  ranked.slice(0, top).forEach((r, i) => {
+    console.log(`${String(i + 1).padStart(4)}  ${f(r.train).padStart(12)}  ${f(r.test).padStart(11)}  ${String(r.trades).padStart(6)}  ${String(r.alerts).padStart(6)}  ${Object.entries(r.env).map(([k, v]) => `${k}=${v}`).join(' ')}`);
+  });
+  if (folds.length) {
+    console.log('\nwalk-forward (best on train → its test score):');
+    for (const fo of folds) console.log(`  fold ${fo.fold}: #${fo.best} train ${f(fo.train)} → test ${f(fo.test)}`);
+  }
+  console.log(`\n# sweep winner • objective=${objective} • train ${f(winner.train)}${winner.test != null ? ` • held-out test ${f(winner.test)}` : ' • in-sample'} • ${new Date().toISOString()}`);
+  console.log(envBlock(winnerEnv));
+}
+
+if (!isMainThread) {
+  workerMain().catch((e) => { console.error('[sweep/worker]', e?.message || e); process.exit(1); });
+} else if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => { console.error('[sweep]', e?.message || e); process.exit(1); });
+}
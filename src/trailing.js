@@ -1,15 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+
 export class TrailingManager {
-  constructor({ startPct=0.003, distancePct=0.004, stepPct=0.001 }={}) {
+  // stateFile (optional): positions are written there on entry/stop change/close so a restart can restore them.
+  constructor({ startPct=0.003, distancePct=0.004, stepPct=0.001, stateFile=null }={}) {
     this.startPct = startPct;
     this.distancePct = distancePct;
     this.stepPct = stepPct;
-    this.positions = new Map(); // symbol -> { side, entry, high, low, stop }
+    this.stateFile = stateFile;
+    this.positions = new Map(); // symbol -> { side, entry, vol, high, low, stop, closing, openedAt, adopted }
   }
-  onEntry(symbol, side, entry) {
-    this.positions.set(symbol, { side, entry, high: entry, low: entry, stop: null });
+  onEntry(symbol, side, entry, vol = null, extra = {}) {
+    this.positions.set(symbol, { side, entry, vol, high: entry, low: entry, stop: null, closing: false, openedAt: Date.now(), ...extra });
+    this.save();
   }
+  // Re-insert a previously saved position (keeps its high/low/stop).
+  restore(symbol, state) {
+    this.positions.set(symbol, { ...state, closing: false });
+    this.save();
+  }
+  loadSaved() {
+    if (!this.stateFile) return new Map();
+    try {
+      const obj = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      return new Map(Object.entries(obj || {}));
+    } catch { return new Map(); }
+  }
+  save() {
+    if (!this.stateFile) return;
+    try {
+      fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+      const obj = {};
+      for (const [sym, p] of this.positions) { const { closing, ...rest } = p; obj[sym] = rest; }
+      fs.writeFileSync(this.stateFile, JSON.stringify(obj));
+    } catch (e) { console.log('[trailing] save failed', e?.message || e); }
+  }
+  // Returns a stop-update event, a `hit` event once price crosses the stop, or null.
   onPrice(symbol, price) {
     const p = this.positions.get(symbol); if (!p) return null;
+    if (p.stop && !p.closing) {
+      const hit = p.side === 'long' ? price <= p.stop : price >= p.stop;
+      if (hit) {
+        p.closing = true; // caller closes, or clears the flag to re-arm after a failed close
+        return { symbol, side: p.side, stop: p.stop, price, hit: true };
+      }
+    }
     if (p.side === 'long') {
       if (price > p.high) p.high = price;
       const gain = (p.high - p.entry) / p.entry;
@@ -17,6 +52,7 @@ export class TrailingManager {
         const newStop = p.high * (1 - this.distancePct);
         if (!p.stop || newStop - p.stop >= p.high * this.stepPct) {
           p.stop = newStop;
+          this.save();
           return { symbol, side: 'long', stop: p.stop };
         }
       }
@@ -27,11 +63,12 @@ export class TrailingManager {
         const newStop = p.low * (1 + this.distancePct);
         if (!p.stop || p.stop - newStop >= p.low * this.stepPct) {
           p.stop = newStop;
+          this.save();
           return { symbol, side: 'short', stop: p.stop };
         }
       }
     }
     return null;
   }
-  close(symbol) { this.positions.delete(symbol); }
+  close(symbol) { if (this.positions.delete(symbol)) this.save(); }
 }
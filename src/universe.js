@@ -0,0 +1,76 @@
+// Tradable symbol universe from the public contract endpoints.
+// contract/detail is authoritative (state, apiAllowed, fee rates) and also refreshes the
+// ContractSpecs cache; ticker and symbols are fallbacks when detail comes back thin.
+import { getJSON, num, unique } from './utils.js';
+
+const BASE = 'https://contract.mexc.com';
+export const ENDPOINTS = {
+  detail : `${BASE}/api/v1/contract/detail`,
+  ticker : `${BASE}/api/v1/contract/ticker`,
+  symbols: `${BASE}/api/v1/contract/symbols`,
+  depth  : `${BASE}/api/v1/contract/depth`,
+  funding: `${BASE}/api/v1/contract/funding_rate`
+};
+
+export function isZeroFeeRow(row, maxTakerFee = 0){
+  const taker = num(row?.takerFeeRate, NaN);
+  const maker = num(row?.makerFeeRate, NaN);
+  if (!Number.isFinite(taker) || !Number.isFinite(maker)) return false;
+  return Math.max(taker, maker) <= (maxTakerFee + 1e-12);
+}
+
+async function universeFromDetail({ zeroFeeOnly, maxTakerFee, specs }){
+  const { ok, json } = await getJSON(ENDPOINTS.detail);
+  if (!ok || !json) return [];
+  const rows = Array.isArray(json?.data) ? json.data : [];
+  specs?.update(rows.filter(r => r?.state === 0));
+  const keep = [];
+  for (const r of rows){
+    const sym = r?.symbol;
+    if (!sym) continue;
+    if (r?.state !== 0) continue;
+    if (r?.apiAllowed === false) continue;
+    if (zeroFeeOnly && !isZeroFeeRow(r, maxTakerFee)) continue;
+    keep.push(sym);
+  }
+  console.log(`[universe/detail] rows=${rows.length} kept=${keep.length}`);
+  return keep;
+}
+async function universeFromTicker(){
+  const { ok, json } = await getJSON(ENDPOINTS.ticker);
+  if (!ok || !json) return [];
+  const rows = Array.isArray(json?.data) ? json.data : [];
+  const syms = rows.map(r=>r?.symbol).filter(Boolean);
+  console.log(`[universe/ticker] rows=${rows.length} kept=${syms.length}`);
+  return syms;
+}
+async function universeFromSymbols(){
+  const { ok, json } = await getJSON(ENDPOINTS.symbols);
+  if (!ok || !json) return [];
+  const rows = Array.isArray(json?.data) ? json.data
+            : Array.isArray(json?.symbols) ? json.symbols : [];
+  const syms = rows.map(r => (typeof r === 'string' ? r : r?.symbol)).filter(Boolean);
+  console.log(`[universe/symbols] rows=${rows.length} kept=${syms.length}`);
+  return syms;
+}
+
+// ZERO_FEE_ONLY / MAX_TAKER_FEE / ZERO_FEE_WHITELIST / UNIVERSE_OVERRIDE / FALLBACK_TO_ALL semantics.
+export async function buildUniverse({ zeroFeeOnly = false, maxTakerFee = 0, whitelist = [], override = [], fallbackToAll = false, specs = null } = {}){
+  let u1=[], u2=[], u3=[];
+  try { u1 = await universeFromDetail({ zeroFeeOnly, maxTakerFee, specs }); } catch(e){ console.log('[detail] err', e?.message||e); }
+  if (u1.length < 10) { try { u2 = await universeFromTicker(); } catch(e){} }
+  if (u1.length + u2.length < 10) { try { u3 = await universeFromSymbols(); } catch(e){} }
+  let merged = unique([...u1, ...u2, ...u3]);
+
+  if (zeroFeeOnly) merged = merged.filter(s => u1.includes(s));
+  if (whitelist.length) merged = unique([...merged, ...whitelist]);
+  if (override.length){ merged = unique([...merged, ...override]); }
+
+  if (merged.length === 0 && fallbackToAll && whitelist.length){
+    merged = unique([...whitelist]);
+    console.log('[universe] fallback to whitelist');
+  }
+  console.log(`[universe] totals all=${merged.length} zf=${zeroFeeOnly ? merged.length : 0}`);
+  if (merged.length) console.log(`[universe] sample: ${merged.slice(0,10).join(', ')}`);
+  return merged;
+}
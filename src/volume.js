@@ -0,0 +1,52 @@
+// Traded-volume rate per symbol from successive volume24 readings.
+// volume24 is a rolling 24h counter (contracts), so the increment between two ticks is
+// "traded since last tick minus what rolled off"; negative increments count as 0.
+// The short-window rate is z-scored against its own EWMA mean/variance baseline.
+export class VolumeTracker {
+  constructor({ shortSec = 5, baselineSec = 300, warmup = 30 } = {}) {
+    this.shortMs = shortSec * 1000;
+    this.baselineMs = baselineSec * 1000;
+    this.warmup = warmup;
+    this.state = new Map(); // sym -> { vol24, ts, q:[{t,dv}], mean, var, n, z, rate }
+  }
+  // Returns { z, rate, vol1m } (z null while warming up) or null without volume data.
+  update(symbol, ts, volume24) {
+    if (!Number.isFinite(volume24)) return null;
+    let s = this.state.get(symbol);
+    if (!s) {
+      s = { vol24: volume24, ts, q: [], mean: 0, var: 0, n: 0, z: null, rate: 0 };
+      this.state.set(symbol, s);
+      return { z: null, rate: 0, vol1m: 0 };
+    }
+    const dt = ts - s.ts;
+    if (dt <= 0) return { z: s.z, rate: s.rate, vol1m: this.sum(s, ts, 60e3) };
+    const dv = Math.max(0, volume24 - s.vol24);
+    s.vol24 = volume24;
+    s.ts = ts;
+    s.q.push({ t: ts, dv });
+    while (s.q.length && s.q[0].t < ts - 60e3) s.q.shift();
+
+    const win = Math.min(this.shortMs, Math.max(1000, ts - s.q[0].t));
+    const rate = this.sum(s, ts, this.shortMs) / (win / 1000); // contracts/s
+    const sd = Math.sqrt(s.var);
+    s.z = s.n >= this.warmup && sd > 0 ? (rate - s.mean) / sd : null;
+    s.rate = rate;
+
+    // baseline updated after scoring, so a burst is measured against what came before it
+    const a = Math.min(1, dt / this.baselineMs);
+    if (s.n === 0) s.mean = rate;
+    const d = rate - s.mean;
+    s.mean += a * d;
+    s.var = (1 - a) * (s.var + a * d * d);
+    s.n++;
+    return { z: s.z, rate, vol1m: this.sum(s, ts, 60e3) };
+  }
+  sum(s, ts, ms) {
+    let v = 0;
+    for (let i = s.q.length - 1; i >= 0 && s.q[i].t > ts - ms; i--) v += s.q[i].dv;
+    return v;
+  }
+  get(symbol) { return this.state.get(symbol) || null; }
+  reset() { this.state.clear(); }
+  drop(symbol) { this.state.delete(symbol); }
+}
@@ -0,0 +1,39 @@
+import { completedBars } from './rangeBreakout.js';
+
+// VWAP deviation: price stretched at least minPct from the volume-weighted average price of the
+// last `minutes` completed 1m bars (typical price (h+l+c)/3), and at least zMin volume-weighted
+// standard deviations away. Bars without volume don't count; needs volume24 in the ticker stream.
+export class VwapDeviation {
+  constructor({ enabled = false, minutes = 60, minPct = 0.01, zMin = 2.5, cooldownSec = 600 } = {}) {
+    this.name = 'vwap_dev';
+    this.enabled = enabled;
+    this.minutes = minutes;
+    this.minPct = minPct;
+    this.zMin = zMin;
+    this.cooldownMs = cooldownSec * 1000;
+    this.blockUntil = new Map();
+  }
+  update({ symbol, ts, price, candles }) {
+    const bars = completedBars(candles, symbol, ts, this.minutes);
+    if (bars.length < this.minutes) return null;
+    let v = 0, pv = 0;
+    for (const b of bars) { const tp = (b.h + b.l + b.c) / 3; v += b.v; pv += tp * b.v; }
+    if (!(v > 0)) return null;
+    const vwap = pv / v;
+    let sq = 0;
+    for (const b of bars) sq += b.v * ((b.h + b.l + b.c) / 3 - vwap) ** 2;
+    const sd = Math.sqrt(sq / v);
+    const dev = (price - vwap) / vwap;
+    const z = sd > 0 ? (price - vwap) / sd : null;
+    if (Math.abs(dev) < this.minPct || z == null || Math.abs(z) < this.zMin) return null;
+    if (ts < (this.blockUntil.get(symbol) || 0)) return null;
+    this.blockUntil.set(symbol, ts + this.cooldownMs);
+    return {
+      direction: dev > 0 ? 'UP' : 'DOWN', absPct: Math.abs(dev), z: Math.abs(z),
+      label: `${this.minutes}m VWAP dev`, windowSec: this.minutes * 60,
+      fields: { vwap: Number(vwap.toPrecision(8)) }
+    };
+  }
+  reset() { this.blockUntil.clear(); }
+  drop(symbol) { this.blockUntil.delete(symbol); }
+}
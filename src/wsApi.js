@@ -0,0 +1,137 @@
+// /ws: WebSocket API for dashboards on the worker's HTTP server (WS_* env).
+//
+// Client → server, one JSON object per message; an optional `id` is echoed back:
+//   { op: 'subscribe',   channels?: [...], symbols?: [...] | '*', sources?, direction?, min_z?, min_move? }
+//   { op: 'unsubscribe', channels?: [...], symbols?: [...] }
+//   { op: 'mute' | 'unmute', symbols: [...] }
+//   { op: 'snapshot', symbols?: [...], limit?: 50 }      current moves of the top movers
+//   { op: 'ping' }
+// Server → client:
+//   { type: 'hello', channels, windows }                 on connect; nothing is subscribed yet
+//   { type: 'ack', id, op, subscription }                after (un)subscribe / mute / unmute
+//   { type: 'event', event, id, data }                   the /stream payloads (event = SSE type, id = SSE id)
+//   { type: 'snapshot', id, t, rows }  { type: 'pong', id, t }  { type: 'error', id, error }
+//
+// Channels are the SSE event types (alert, early, update, trade, status). symbols starts as '*'
+// (every symbol); subscribing symbols narrows it to that list, '*' widens it again. Muted
+// symbols are dropped whatever the subscription. sources / direction / min_z / min_move
+// replace the connection's StreamFilter (src/streamFilter.js) when given.
+import { WebSocketServer } from 'ws';
+import { eventType } from './sse.js';
+import { StreamFilter, EVENT_TYPES } from './streamFilter.js';
+
+const list = (v) => (Array.isArray(v) ? v : v == null ? [] : [v]).map(s => String(s).trim()).filter(Boolean);
+const FILTER_KEYS = ['sources', 'direction', 'min_z', 'min_move'];
+
+export class WsHub {
+  // snapshot({ symbols (Set | null = all), muted (Set), limit }) → rows; hello() → extra fields for the hello message
+  constructor({ server, path = '/ws', snapshot = () => [], hello = () => ({}), pingSec = 30, moveField = 'move_1m', maxBuffered = 1 << 20 } = {}) {
+    this.snapshot = snapshot;
+    this.hello = hello;
+    this.moveField = moveField;
+    this.maxBuffered = maxBuffered;
+    this.clients = new Map(); // ws -> { channels, symbols (null = all), muted, filter, alive }
+    this.wss = new WebSocketServer({ server, path });
+    this.wss.on('connection', (ws) => this.connected(ws));
+    // protocol-level pings: clients that miss one interval are dropped
+    this.timer = setInterval(() => {
+      for (const [ws, c] of this.clients) {
+        if (!c.alive) { ws.terminate(); continue; }
+        c.alive = false;
+        try { ws.ping(); } catch {}
+      }
+    }, pingSec * 1000);
+  }
+  get size() { return this.clients.size; }
+  connected(ws) {
+    const c = { channels: new Set(), symbols: null, muted: new Set(), filter: new StreamFilter({ moveField: this.moveField }), alive: true };
+    this.clients.set(ws, c);
+    ws.on('pong', () => { c.alive = true; });
+    ws.on('message', (buf) => this.onMessage(ws, c, buf));
+    ws.on('close', () => this.clients.delete(ws));
+    ws.on('error', () => {});
+    this.send(ws, { type: 'hello', channels: EVENT_TYPES, ...this.hello() });
+  }
+  send(ws, obj) {
+    if (ws.readyState !== ws.OPEN) return;
+    try { ws.send(JSON.stringify(obj)); } catch {}
+  }
+  subscription(c) {
+    return {
+      channels: [...c.channels], symbols: c.symbols ? [...c.symbols] : '*', muted: [...c.muted],
+      ...Object.fromEntries(Object.entries(c.filter.toJSON()).filter(([k]) => FILTER_KEYS.includes(k)))
+    };
+  }
+  onMessage(ws, c, buf) {
+    c.alive = true;
+    let m;
+    try { m = JSON.parse(buf.toString()); } catch { return this.send(ws, { type: 'error', id: null, error: 'invalid JSON' }); }
+    const id = m?.id ?? null;
+    const fail = (error) => this.send(ws, { type: 'error', id, error });
+    const ack = () => this.send(ws, { type: 'ack', id, op: m.op, subscription: this.subscription(c) });
+    switch (m?.op) {
+      case 'subscribe': {
+        const channels = list(m.channels).map(s => s.toLowerCase());
+        const bad = channels.filter(ch => !EVENT_TYPES.includes(ch));
+        if (bad.length) return fail(`unknown channels: ${bad.join(', ')} (use ${EVENT_TYPES.join(', ')})`);
+        if (FILTER_KEYS.some(k => k in m)) {
+          const cur = c.filter.toJSON();
+          const q = {};
+          for (const k of FILTER_KEYS) {
+            const v = k in m ? m[k] : cur[k];
+            if (v != null) q[k] = Array.isArray(v) ? v.join(',') : v;
+          }
+          try { c.filter = StreamFilter.fromQuery(q, { moveField: this.moveField }); } catch (e) { return fail(e.message); }
+        }
+        for (const ch of channels) c.channels.add(ch);
+        if (m.symbols === '*') c.symbols = null;
+        else if (m.symbols != null) {
+          c.symbols ??= new Set();
+          for (const s of list(m.symbols)) c.symbols.add(s.toUpperCase());
+        }
+        return ack();
+      }
+      case 'unsubscribe':
+        for (const ch of list(m.channels)) c.channels.delete(ch.toLowerCase());
+        if (c.symbols) for (const s of list(m.symbols)) c.symbols.delete(s.toUpperCase());
+        return ack();
+      case 'mute':
+        for (const s of list(m.symbols)) c.muted.add(s.toUpperCase());
+        return ack();
+      case 'unmute':
+        for (const s of list(m.symbols)) c.muted.delete(s.toUpperCase());
+        return ack();
+      case 'snapshot': {
+        const symbols = list(m.symbols).map(s => s.toUpperCase());
+        const limit = Math.max(1, Math.min(1000, Number(m.limit) || 50));
+        let rows;
+        try { rows = this.snapshot({ symbols: symbols.length ? new Set(symbols) : c.symbols, muted: c.muted, limit }); }
+        catch (e) { return fail(String(e?.message || e)); }
+        return this.send(ws, { type: 'snapshot', id, t: new Date().toISOString(), rows });
+      }
+      case 'ping':
+        return this.send(ws, { type: 'pong', id, t: new Date().toISOString() });
+      default:
+        return fail(`unknown op: ${m?.op}`);
+    }
+  }
+  // Same payloads as /stream; id is the SSE event id.
+  broadcast(obj, id = null) {
+    if (!this.clients.size) return;
+    const type = eventType(obj);
+    let frame = null;
+    for (const [ws, c] of this.clients) {
+      if (!c.channels.has(type)) continue;
+      if (obj.symbol && (c.muted.has(obj.symbol) || (c.symbols && !c.symbols.has(obj.symbol)))) continue;
+      if (!c.filter.match(obj, type)) continue;
+      if (ws.readyState !== ws.OPEN || ws.bufferedAmount > this.maxBuffered) continue; // slow client: skip, don't queue
+      frame ??= JSON.stringify({ type: 'event', event: type, id, data: obj });
+      try { ws.send(frame); } catch {}
+    }
+  }
+  close() {
+    clearInterval(this.timer);
+    for (const ws of this.clients.keys()) ws.terminate();
+    this.wss.close();
+  }
+}
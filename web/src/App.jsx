@@ -2,7 +2,7 @@ import { useEffect, useMemo, useRef, useState } from "react";
 
 /**
  * MEXC Live Dashboard — TF selector (1m/5m/10m/15m) + burst flashing + rank sorting
- * - Top chips switch the % Move column between pct_1m / pct_5m / pct_10m / pct_15m
+ * - Top chips switch the % Move column between the worker's move windows (GET /windows; move_1m / move_5m / ...)
  * - Click headers to sort (toggles asc/desc). Default sort = Rank (desc)
  * - Filters: All / Longs / Shorts
  * - Dual chart links: MEXC + TradingView
@@ -13,11 +13,14 @@ const API_BASE =
 const JSON_URL = `${API_BASE}/alerts`;
 const SSE_URL = `${API_BASE}/stream`;
 
+const WINDOWS_URL = `${API_BASE}/windows`;
+
+// default move windows until /windows answers; field = move_<key> (move_schema 2)
 const TF_OPTS = [
-  { key: "1m",  field: "pct_1m",  label: "1m"  },
-  { key: "5m",  field: "pct_5m",  label: "5m"  },
-  { key: "10m", field: "pct_10m", label: "10m" },
-  { key: "15m", field: "pct_15m", label: "15m" },
+  { key: "1m",  field: "move_1m",  label: "1m"  },
+  { key: "5m",  field: "move_5m",  label: "5m"  },
+  { key: "10m", field: "move_10m", label: "10m" },
+  { key: "15m", field: "move_15m", label: "15m" },
 ];
 
 const fmtTime = (iso) => {
@@ -29,6 +32,23 @@ const fmtTime = (iso) => {
   }
 };
 
+// funding % / OI change 5m / fair-vs-last basis; "hot" past ±0.1% funding or ±5% OI
+const signed = (v, d) => `${v > 0 ? "+" : ""}${Number(v).toFixed(d)}%`;
+const MarketCell = ({ r }) => (
+  <>
+    {r.funding_rate != null && (
+      <span className={Math.abs(r.funding_rate) >= 0.001 ? "hot" : ""}
+            title={r.next_funding_ts ? `next funding ${fmtTime(r.next_funding_ts)}` : ""}>
+        F {signed(r.funding_rate * 100, 3)}
+      </span>
+    )}
+    {r.oi_change_5m_pct != null && (
+      <span className={Math.abs(r.oi_change_5m_pct) >= 5 ? "hot" : ""}> OI {signed(r.oi_change_5m_pct, 1)}</span>
+    )}
+    {r.basis_pct != null && <span className="muted"> B {signed(r.basis_pct, 3)}</span>}
+  </>
+);
+
 // ---- styles (injected once) ----
 const ensureStyles = () => {
   if (document.getElementById("mx-styles")) return;
@@ -70,6 +90,9 @@ body{margin:0;background:var(--bg);color:var(--text);font:14px/1.4 system-ui,-ap
 .linkish{color:var(--link);text-decoration:none}
 .linkish:hover{text-decoration:underline}
 .empty{padding:24px;color:var(--muted);text-align:center}
+.mkt{font-size:12px;white-space:nowrap}
+.mkt .hot{color:#ffb454;font-weight:700}
+.mkt .muted{color:var(--muted)}
   `;
   const el = document.createElement("style");
   el.id = "mx-styles";
@@ -78,6 +101,7 @@ body{margin:0;background:var(--bg);color:var(--text);font:14px/1.4 system-ui,-ap
 };
 
 // ---- helpers ----
+// rank / severity / pps come from the worker; the fallbacks only cover alerts stored before it sent them
 function computeRank(a) {
   if (typeof a.rank === "number") return a.rank;
   const z = Number(a.z_score ?? a.z ?? 0);
@@ -90,7 +114,7 @@ function computeRank(a) {
 function burstLevel(a) {
   const z = Number(a.z_score ?? a.z ?? 0);
   const movePct = Number(a.move_pct ?? 0);
-  if (a?.severity) return a.severity;
+  if (typeof a?.severity === "number") return a.severity;
   if (z >= 6 || movePct >= 2.0) return 3;
   if (z >= 4.5 || movePct >= 1.0) return 2;
   if (z >= 3.7 || movePct >= 0.6) return 1;
@@ -113,10 +137,24 @@ export default function App() {
   const [filter, setFilter] = useState("ALL"); // ALL | LONG | SHORT
   const [sortKey, setSortKey] = useState("rank"); // rank | symbol | direction | move | z | time
   const [sortDir, setSortDir] = useState("desc");
-  const [tf, setTf] = useState("1m"); // "1m" | "5m" | "10m" | "15m"
+  const [tfOpts, setTfOpts] = useState(TF_OPTS); // move windows from /windows
+  const [tf, setTf] = useState(TF_OPTS[0].key);
   const [source, setSource] = useState(`${API_BASE}/alerts (SSE)`);
   const flashRef = useRef(new Map()); // symbol -> expireTs
 
+  // move windows configured on the worker (MOVE_WINDOWS)
+  useEffect(() => {
+    fetch(WINDOWS_URL)
+      .then((r) => r.json())
+      .then((j) => {
+        if (!Array.isArray(j?.windows) || !j.windows.length) return;
+        const opts = j.windows.map((w) => ({ key: w.key, field: w.field, label: w.key }));
+        setTfOpts(opts);
+        setTf((cur) => (opts.some((o) => o.key === cur) ? cur : opts[0].key));
+      })
+      .catch(() => {});
+  }, []);
+
   // initial load
   useEffect(() => {
     let aborted = false;
@@ -139,7 +177,7 @@ export default function App() {
     let pollTimer;
 
     const onMsg = (a) => {
-      if (!a) return;
+      if (!a || a.source === "trade" || a.source === "feed" || a.source === "universe") return;
       const rank = computeRank(a);
       const level = burstLevel(a);
       const flashing = Boolean(a.burst) || level > 0;
@@ -167,12 +205,19 @@ export default function App() {
     };
 
     try {
+      // named events with ids: a reconnect resends Last-Event-ID and the worker replays the gap
       es = new EventSource(SSE_URL);
-      es.onmessage = (ev) => {
+      const handle = (ev) => {
         try { onMsg(JSON.parse(ev.data)); } catch {}
       };
+      ["alert", "early", "update"].forEach((t) => es.addEventListener(t, handle));
+      es.onopen = () => {
+        if (pollTimer) { clearInterval(pollTimer); pollTimer = null; }
+        setSource(`${API_BASE}/alerts (SSE)`);
+      };
+      // blips: the browser reconnects (retry: hint) and resumes from Last-Event-ID; poll only once it gives up
       es.onerror = () => {
-        if (!pollTimer) {
+        if (es.readyState === EventSource.CLOSED && !pollTimer) {
           setSource(`${API_BASE}/alerts (poll)`);
           pollTimer = setInterval(async () => {
             try {
@@ -205,7 +250,7 @@ export default function App() {
           );
 
     const dir = sortDir === "asc" ? 1 : -1;
-    const tfField = TF_OPTS.find((x) => x.key === tf)?.field || "pct_1m";
+    const tfField = tfOpts.find((x) => x.key === tf)?.field || tfOpts[0].field;
 
     const value = (r) => {
       switch (sortKey) {
@@ -229,7 +274,7 @@ export default function App() {
       const bp = Number(b[tfField] ?? b.move_pct ?? 0);
       return dir === -1 ? bp - ap : ap - bp;
     });
-  }, [rows, filter, sortKey, sortDir, tf]);
+  }, [rows, filter, sortKey, sortDir, tf, tfOpts]);
 
   const setSort = (key) => {
     if (key === sortKey) setSortDir((d) => (d === "asc" ? "desc" : "asc"));
@@ -239,7 +284,7 @@ export default function App() {
     }
   };
 
-  const tfField = TF_OPTS.find((x) => x.key === tf)?.field || "pct_1m";
+  const tfField = tfOpts.find((x) => x.key === tf)?.field || tfOpts[0].field;
 
   return (
     <div className="app">
@@ -256,7 +301,7 @@ export default function App() {
           <div className={`chip ${filter === "SHORT" ? "active" : ""}`} onClick={() => setFilter("SHORT")}>Shorts</div>
         </div>
         <div className="grp" aria-label="timeframe" style={{ marginLeft: 6 }}>
-          {TF_OPTS.map((o) => (
+          {tfOpts.map((o) => (
             <div
               key={o.key}
               className={`chip ${tf === o.key ? "active" : ""}`}
@@ -285,6 +330,7 @@ export default function App() {
             <th className="th" onClick={() => setSort("z")}>
               Z-Score <span className="sort">{sortKey === "z" ? (sortDir === "asc" ? "▲" : "▼") : ""}</span>
             </th>
+            <th className="th">Funding / OI / Basis</th>
             <th className="th" onClick={() => setSort("time")}>
               Time <span className="sort">{sortKey === "time" ? (sortDir === "asc" ? "▲" : "▼") : ""}</span>
             </th>
@@ -297,7 +343,7 @@ export default function App() {
         <tbody>
           {filtered.length === 0 ? (
             <tr className="tr">
-              <td className="td empty" colSpan={7}>Waiting for alerts…</td>
+              <td className="td empty" colSpan={8}>Waiting for alerts…</td>
             </tr>
           ) : (
             filtered.map((r, i) => {
@@ -319,6 +365,7 @@ export default function App() {
                   </td>
                   <td className="td">{pctSel.toFixed(3)}%</td>
                   <td className="td">{z.toFixed(2)}</td>
+                  <td className="td mkt"><MarketCell r={r} /></td>
                   <td className="td">{fmtTime(r.t)}</td>
                   <td className="td">{Number(r.rank ?? computeRank(r)).toFixed(1)}</td>
                   <td className="td" style={{ display: "flex", gap: 8 }}>
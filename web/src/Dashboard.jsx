@@ -16,12 +16,13 @@ export default function Dashboard({ apiBase }) {
       });
   }, [apiBase]);
 
-  // SSE stream
+  // SSE stream: events are named, so listen per type (unnamed onmessage gets nothing)
   useEffect(() => {
-    const es = new EventSource(`${apiBase}/stream`);
-    es.onmessage = (e) => {
+    const es = new EventSource(`${apiBase}/stream?types=alert,early`);
+    const onAlert = (e) => {
       try {
         const a = JSON.parse(e.data);
+        if (!a?.symbol) return;
         setRows((prev) => {
           const m = new Map(prev);
           m.set(a.symbol, a);
@@ -29,6 +30,8 @@ export default function Dashboard({ apiBase }) {
         });
       } catch {}
     };
+    es.addEventListener("alert", onAlert);
+    es.addEventListener("early", onAlert);
     return () => es.close();
   }, [apiBase]);
 